@@ -0,0 +1,104 @@
+// ==================== 交易绩效分析 ====================
+// 输入为已完成交易的精简记录（AutoTradingSystem.state.tradeLog），按平仓时间升序：
+// { id, action, exitTime, pnl, riskAmount, equityBefore, ... }
+// 收益率按单笔交易计算（pnl / 开仓前净值），Sharpe/Sortino 不做年化
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function standardDeviation(values) {
+    if (values.length < 2) return 0;
+    const avg = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+}
+
+// 净值曲线：从初始资金开始逐笔累加净盈亏（不含出入金，避免出金被当成回撤）
+function buildEquityCurve(trades, initialBalance) {
+    const curve = [{ time: trades.length > 0 ? trades[0].entryTime : null, equity: initialBalance }];
+    let equity = initialBalance;
+
+    trades.forEach(trade => {
+        equity += trade.pnl;
+        curve.push({ time: trade.exitTime, equity });
+    });
+
+    return curve;
+}
+
+// 最大回撤（金额/比例）及最长回撤持续时间（从前高到收复前高，未收复则算到最后一笔）
+function calculateDrawdown(curve) {
+    let peak = curve[0];
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    let maxDuration = 0;
+    let maxDurationTrades = 0;
+
+    curve.forEach((point, index) => {
+        if (point.equity >= peak.equity) {
+            peak = { ...point, index };
+            return;
+        }
+
+        const drawdown = peak.equity - point.equity;
+        maxDrawdown = Math.max(maxDrawdown, drawdown);
+        maxDrawdownPercent = Math.max(maxDrawdownPercent, peak.equity > 0 ? drawdown / peak.equity : 0);
+
+        const duration = peak.time && point.time ? new Date(point.time) - new Date(peak.time) : 0;
+        maxDuration = Math.max(maxDuration, duration);
+        maxDurationTrades = Math.max(maxDurationTrades, index - (peak.index || 0));
+    });
+
+    return { maxDrawdown, maxDrawdownPercent, maxDrawdownDuration: maxDuration, maxDrawdownTrades: maxDurationTrades };
+}
+
+// 一组交易的基础统计（整体、多头、空头共用）
+function summarize(trades) {
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl <= 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+    const rMultiples = trades.filter(t => t.riskAmount > 0).map(t => t.pnl / t.riskAmount);
+
+    return {
+        trades: trades.length,
+        winRate: trades.length > 0 ? wins.length / trades.length : 0,
+        totalPnL: grossProfit - grossLoss,
+        avgWin: wins.length > 0 ? grossProfit / wins.length : 0,
+        avgLoss: losses.length > 0 ? -grossLoss / losses.length : 0,
+        // 没有亏损时盈亏比为无穷大，用 null 表示（JSON 无法表示 Infinity）
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? null : 0),
+        expectancy: trades.length > 0 ? (grossProfit - grossLoss) / trades.length : 0,
+        avgR: mean(rMultiples)
+    };
+}
+
+function computeAnalytics(trades = [], initialBalance = 0) {
+    const sorted = trades.slice().sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime));
+    const curve = buildEquityCurve(sorted, initialBalance);
+
+    const returns = sorted.filter(t => t.equityBefore > 0).map(t => t.pnl / t.equityBefore);
+    const avgReturn = mean(returns);
+    const deviation = standardDeviation(returns);
+    // 下行偏差：只计负收益（目标收益为0）
+    const downside = returns.length > 0 ?
+        Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(Math.min(r, 0), 2), 0) / returns.length) : 0;
+
+    return {
+        ...summarize(sorted),
+        ...calculateDrawdown(curve),
+        sharpe: deviation > 0 ? avgReturn / deviation : 0,
+        sortino: downside > 0 ? avgReturn / downside : 0,
+        avgReturn,
+        long: summarize(sorted.filter(t => t.action === 'BUY')),
+        short: summarize(sorted.filter(t => t.action === 'SELL')),
+        equityCurve: curve
+    };
+}
+
+const tradingAnalytics = { computeAnalytics, buildEquityCurve, calculateDrawdown };
+
+// Node环境导出（服务端引擎/回测使用），浏览器中为全局变量
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { tradingAnalytics, computeAnalytics };
+}
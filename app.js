@@ -1,19 +1,86 @@
+// ==================== 依赖模块 ====================
+// Node环境（回测/服务端引擎）中直接引入；浏览器中为全局变量，页面需按以下顺序在 app.js 之前加载:
+//   <script src="https://unpkg.com/lightweight-charts@4/dist/lightweight-charts.standalone.production.js"></script>  可选，缺少时退回价格折线图
+//   <script src="indicators.js"></script>
+//   <script src="strategies.js"></script>
+//   <script src="analytics.js"></script>
+//   <script src="history-db.js"></script>
+//   <script src="app.js"></script>
+// 缺少模块时给出明确的加载顺序错误，而不是在首次使用时报 ReferenceError
+function loadDependency(file, name, browserGlobal) {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require(file)[name];
+    }
+    if (browserGlobal === undefined) {
+        throw new Error(`app.js 需要先加载 ${file.slice(2)}（全局变量 ${name}），加载顺序见 app.js 开头`);
+    }
+    return browserGlobal;
+}
+
+const strategies = loadDependency('./strategies.js', 'tradingStrategies',
+    typeof tradingStrategies !== 'undefined' ? tradingStrategies : undefined);
+const analytics = loadDependency('./analytics.js', 'tradingAnalytics',
+    typeof tradingAnalytics !== 'undefined' ? tradingAnalytics : undefined);
+const ta = loadDependency('./indicators.js', 'technicalIndicators',
+    typeof technicalIndicators !== 'undefined' ? technicalIndicators : undefined);
+const historyDb = loadDependency('./history-db.js', 'tradeHistoryDb',
+    typeof tradeHistoryDb !== 'undefined' ? tradeHistoryDb : undefined);
+
+// 服务端地址：页面与 server.js 同源时为空，接口用相对路径；
+// 页面从其他地址打开（本地文件、静态服务器）时在 localStorage 的 server_url 中设置，如 http://localhost:3000
+function serverBaseUrl() {
+    if (typeof localStorage === 'undefined') return '';
+    return (localStorage.getItem('server_url') || '').trim().replace(/\/$/, '');
+}
+
 // ==================== 自动交易系统主类 ====================
 class AutoTradingSystem {
     constructor() {
+        const serverUrl = serverBaseUrl();
+        
         // 配置
         this.config = {
             // API配置
             apiBase: 'https://www.okx.com/api/v5',
+            engineUrl: `${serverUrl}/api/engine`,  // 服务端引擎地址，为空则只用本地模式
+            replayUrl: `${serverUrl}/api/replay`,  // 服务端回放控制
+            storeUrl: `${serverUrl}/api`,          // 服务端交易存储（/trades /stats /config），为空则只存本地
             symbol: 'BTC-USDT',
+            watchlist: ['BTC-USDT', 'ETH-USDT', 'SOL-USDT'],
             
             // 交易参数（优化后）
-            accountBalance: 100,       // USDT本金
+            accountBalance: 100,       // 模拟账户初始资金（USDT），仓位按账户净值计算
             riskPerTrade: 0.02,        // 每笔交易风险2%
             tp1Percent: 0.015,         // TP1: 1.5% (微利)
             tp2Percent: 0.03,          // TP2: 3% (中利)
             slPercent: 0.012,          // SL: 1.2% (小损)
+            tpSlMode: 'fixed',         // fixed: 固定百分比 / atr: 按ATR倍数（波动大则止损宽、仓位小）
+            slAtrMultiple: 1.5,        // atr模式：止损 = 1.5 ATR
+            tp1AtrMultiple: 2,         // atr模式：TP1 = 2 ATR
+            tp2AtrMultiple: 4,         // atr模式：TP2 = 4 ATR
+            minRiskReward: 1.5,        // atr模式：TP1风险回报比下限
+            minStopPercent: 0.003,     // atr模式：止损距离下限0.3%，避免平静行情中仓位过大
             maxPositionPercent: 0.5,   // 最大仓位50%
+            tp1CloseFraction: 1,       // TP1平仓比例：1为TP1全部平仓；设为0~1之间（如0.5）时其余仓位继续持有到TP2
+            breakevenOffset: 0,        // TP1后止损移到开仓价的偏移（如0.001为锁定0.1%利润）
+            trailingStop: 'off',       // 移动止损: off / percent / atr / chandelier
+            trailingPercent: 0.01,     // percent模式：距开仓后最有利价格1%
+            trailingAtrMultiple: 2,    // atr模式距当前价、chandelier模式距最高/最低价的ATR倍数
+            atrPeriod: 14,
+            
+            // 交易成本（TP为限价挂单按maker计费且无滑点，开仓和止损为市价单按taker计费并计滑点）
+            makerFeeRate: 0.0002,      // maker手续费 0.02%
+            takerFeeRate: 0.0005,      // taker手续费 0.05%
+            slippageModel: 'bps',      // 滑点: none / bps(固定基点) / volatility(按ATR比例)
+            slippageBps: 2,            // bps模式：每次市价成交滑点 2bp
+            slippageAtrFraction: 0.05, // volatility模式：滑点 = 5% ATR
+            fundingRate: 0.0001,       // 永续合约资金费率（多头支付为正），每个结算周期收取；只对 -SWAP 交易对计算，现货没有资金费
+            fundingIntervalHours: 8,   // 资金费结算间隔（UTC 0/8/16点）
+            
+            // TP/SL判定
+            intrabarTimeframe: '',     // 为空只看最新价；设为K线周期（如'1m'）时用上次检查以来的K线高低点判断TP/SL
+            bothTouchedRule: 'pessimistic', // 同一根K线同时触及TP和SL: pessimistic(先SL) / optimistic(先TP) / finer(细分K线判定)
+            finerTimeframe: '1s',      // finer规则使用的细分K线周期
             
             // 技术指标参数
             rsiOversold: 30,           // RSI超卖阈值
@@ -22,16 +89,101 @@ class AutoTradingSystem {
             rsiNeutralMax: 60,         // RSI中性区间最大值
             highVolatility: 5,         // 高波动率阈值（%）
             trendThreshold: 0.5,       // 趋势阈值（%）
+            higherTimeframes: [],      // 高周期趋势确认（如 ['1H', '4H']），为空则不过滤
+            emaFastPeriod: 12,         // 快速EMA（同时为MACD快线）
+            emaSlowPeriod: 26,         // 慢速EMA（同时为MACD慢线）
+            macdSignalPeriod: 9,       // MACD信号线
+            bollingerPeriod: 20,       // 布林带周期
+            bollingerStdDev: 2,        // 布林带标准差倍数
+            stochasticPeriod: 14,      // 随机指标 %K 周期（%D 为3周期均线）
+            adxPeriod: 14,             // ADX周期
+            displayIndicators: ['macd', 'bollinger', 'volume'], // 指标面板显示的扩展指标（可勾选，保存在本地）
+            
+            // 成交量确认
+            volumeConfirmation: false, // 按成交量调整信号（false时只计算显示）
+            volumePeriod: 20,          // 相对成交量的均量周期、OBV趋势的回看K线数
+            minRelativeVolume: 0.5,    // 最近收盘K线成交量低于均量50%时跳过信号
+            highRelativeVolume: 1.5,   // 放量阈值，超过时提高置信度
+            volumeProfileBins: 24,     // 成交量分布的价格区间数
+            volumeLevelTolerance: 0.005, // 价格距成交量支撑/阻力0.5%以内视为靠近
+            strategy: 'rsi-sr',        // 信号策略（见 strategies.js）
             
             // 系统参数
             cooldownSeconds: 180,      // 冷却时间3分钟
+            candleLimit: 50,           // 信号周期K线数量（MACD/ADX需要30根以上预热）
             priceUpdateInterval: 10000, // 价格更新间隔10秒
             signalCheckInterval: 30000, // 信号检查间隔30秒
-            chartUpdateInterval: 60000  // 图表更新间隔60秒
+            chartUpdateInterval: 60000, // 图表更新间隔60秒
+            chartTimeframes: ['1m', '5m', '15m', '1H', '4H', '1D'], // K线图可切换的周期
+            chartCandleLimit: 200      // 非信号周期K线图加载的数量
         };
         
-        // 状态管理
+        // 状态管理（当前交易对的行情、指标、交易与统计）
         this.state = {
+            ...this.createMarketState(),
+            isRunning: false,
+            isInitialized: false,
+            isRemote: false
+        };
+        
+        // 观察列表中各交易对的状态（服务端引擎模式下由推送更新）
+        this.markets = {};
+        
+        // 数据存储
+        this.priceData = [];
+        this.candles = [];
+        this.higherCandles = {};   // 高周期K线 { '1H': [...], '4H': [...] }
+        this.chart = null;
+        
+        // K线图（需要页面加载 lightweight-charts v4，否则退回价格折线图）
+        this.candleChart = null;
+        this.candleSeries = null;
+        this.volumeSeries = null;
+        this.chartLines = [];
+        this.profileLines = [];        // 可见区间成交量分布的 POC/价值区水平线
+        this.chartTimeframe = '15m';   // 15m 直接使用 this.candles，其余周期单独加载
+        this.chartCandles = [];
+        
+        // 定时器
+        this.intervals = {
+            price: null,
+            signal: null,
+            chart: null,
+            remote: null
+        };
+        
+        // 服务端事件流
+        this.eventSource = null;
+        this.lastEventId = null;
+        this.streamRetryDelay = 1000;
+        this.streamRetryTimer = null;
+        
+        // 服务端修改类接口的 API Token（服务端 API_TOKEN），浏览器中保存在 localStorage 的 api_token
+        this.apiToken = typeof localStorage !== 'undefined' ? localStorage.getItem('api_token') : null;
+        
+        // 服务端回放时钟（回放模式下倒计时、时间显示跟随回放时间）
+        this.clockSync = null;
+        
+        // 交易历史表（完整历史在 IndexedDB 中，表格按筛选条件分页查询）
+        this.historyQuery = {
+            from: '',                  // 开仓日期范围 YYYY-MM-DD
+            to: '',
+            side: '',                  // BUY / SELL
+            outcome: '',               // tp1 / tp2 / sl / trail / active
+            strategy: '',
+            sortBy: 'timestamp',
+            sortDir: 'desc',
+            page: 1,
+            pageSize: 20
+        };
+        this.historyRenderId = 0;
+        this.persistedHistory = new Map();   // id -> 已写入历史库的内容，避免重复写入
+        
+        console.log('🚀 AutoTradingSystem 初始化');
+    }
+    
+    createMarketState() {
+        return {
             currentPrice: 0,
             indicators: {
                 rsi: 50,
@@ -39,10 +191,21 @@ class AutoTradingSystem {
                 volatility: 0,
                 support: 0,
                 resistance: 0,
-                pricePosition: 50
+                pricePosition: 50,
+                atr: 0,
+                ema: { fast: null, slow: null },
+                macd: null,            // { macd, signal, histogram }
+                bollinger: null,       // { middle, upper, lower, bandwidth, percentB }
+                stochastic: null,      // { k, d }
+                adx: null,             // { adx, plusDI, minusDI }
+                vwap: null,
+                volume: null,          // { relative, obv, obvTrend, support, resistance, poc }
+                higherTrends: {}
             },
             activeTrade: null,
             signalHistory: [],
+            account: this.createAccount(),
+            tradeLog: [],              // 已完成交易的精简记录（不受历史20条限制，用于绩效分析）
             stats: {
                 totalTrades: 0,
                 winningTrades: 0,
@@ -52,26 +215,15 @@ class AutoTradingSystem {
                 maxWin: 0,
                 maxLoss: 0,
                 avgWin: 0,
-                avgLoss: 0
+                avgLoss: 0,
+                partialFills: 0,
+                grossPnL: 0,           // 未扣成本的盈亏（totalPnL 为扣除手续费、滑点、资金费后的净盈亏）
+                totalFees: 0,
+                totalSlippage: 0,
+                totalFunding: 0
             },
-            cooldownEnd: null,
-            isRunning: false,
-            isInitialized: false
-        };
-        
-        // 数据存储
-        this.priceData = [];
-        this.candles = [];
-        this.chart = null;
-        
-        // 定时器
-        this.intervals = {
-            price: null,
-            signal: null,
-            chart: null
+            cooldownEnd: null
         };
-        
-        console.log('🚀 AutoTradingSystem 初始化');
     }
     
     // ==================== 初始化方法 ====================
@@ -81,8 +233,23 @@ class AutoTradingSystem {
             console.log('🔧 系统初始化开始...');
             this.showStatus('系统初始化中...', 'loading');
             
-            // 加载保存的数据
+            // 优先使用服务端引擎，所有访问者信号一致
+            const hub = await this.fetchEngineState();
+            if (hub) {
+                await this.loadStoreConfig();
+                this.initUI();
+                this.startRemoteMode(hub);
+                this.state.isInitialized = true;
+                
+                this.showStatus('已连接服务端引擎', 'success');
+                console.log('✅ 系统初始化完成（服务端引擎）');
+                return;
+            }
+            
+            // 加载保存的数据（本地没有时从服务端存储恢复）
             this.loadStoredData();
+            await this.loadStoreConfig();
+            await this.restoreFromStore();
             
             // 初始化UI
             this.initUI();
@@ -185,13 +352,21 @@ class AutoTradingSystem {
     }
     
     async loadInitialData() {
+        if (this.state.isRemote) {
+            const hub = await this.fetchEngineState();
+            if (!hub) throw new Error('服务端引擎不可用');
+            this.applyHubState(hub);
+            return;
+        }
+        
         try {
             // 获取实时行情
             const ticker = await this.getTickerData();
             this.updatePriceData(ticker);
             
             // 获取K线数据
-            this.candles = await this.getCandleData('15m', 50);
+            this.candles = await this.getCandleData('15m', this.config.candleLimit);
+            await this.loadHigherTimeframes();
             this.calculateIndicators();
             
             // 更新图表
@@ -205,6 +380,462 @@ class AutoTradingSystem {
         }
     }
     
+    async loadHigherTimeframes() {
+        for (const timeframe of this.config.higherTimeframes) {
+            try {
+                this.higherCandles[timeframe] = await this.getCandleData(timeframe, 30);
+            } catch (error) {
+                // 高周期数据失败不影响15分钟信号，沿用上次数据
+                console.error(`获取${timeframe}K线失败:`, error);
+            }
+        }
+    }
+    
+    // ==================== 服务端引擎方法 ====================
+    
+    async fetchEngineState(action = 'state', symbol = null, body = null) {
+        if (!this.config.engineUrl) return null;
+        
+        const url = symbol ?
+            `${this.config.engineUrl}/${encodeURIComponent(symbol)}/${action}` :
+            `${this.config.engineUrl}/${action}`;
+        
+        try {
+            const response = action === 'state' ? await fetch(url) : await this.postToServer(url, body);
+            
+            if (!response.ok) return null;
+            return await response.json();
+            
+        } catch (error) {
+            console.warn('服务端引擎不可用:', error.message);
+            return null;
+        }
+    }
+    
+    // 修改类接口带上 API Token；服务端返回401时提示输入并重试一次
+    async postToServer(url, body = null) {
+        const send = () => fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiToken ? { Authorization: `Bearer ${this.apiToken}` } : {})
+            },
+            body: JSON.stringify(body || {})
+        });
+        
+        let response = await send();
+        if (response.status === 401 && typeof prompt === 'function') {
+            const token = prompt('服务端修改类接口需要 API Token（服务端环境变量 API_TOKEN）:');
+            if (token && token.trim()) {
+                this.apiToken = token.trim();
+                localStorage.setItem('api_token', this.apiToken);
+                response = await send();
+            }
+        }
+        return response;
+    }
+    
+    // ==================== 服务端存储方法 ====================
+    
+    // resource 如 'trades?symbol=BTC-USDT'；有 body 时为 POST
+    async fetchStore(resource, body = null) {
+        if (!this.config.storeUrl) return null;
+        
+        try {
+            const url = `${this.config.storeUrl}/${resource}`;
+            const response = body ? await this.postToServer(url, body) : await fetch(url);
+            
+            if (!response.ok) return null;
+            return await response.json();
+            
+        } catch (error) {
+            console.warn('服务端存储不可用:', error.message);
+            return null;
+        }
+    }
+    
+    // 共享配置（策略、风险参数、指标面板等）覆盖本地设置
+    async loadStoreConfig() {
+        const config = await this.fetchStore('config');
+        if (!config) return;
+        
+        Object.entries(config).forEach(([key, value]) => {
+            if (key in this.config) this.config[key] = value;
+        });
+        
+        if (!strategies.has(this.config.strategy)) {
+            this.config.strategy = strategies.list()[0].id;
+        }
+    }
+    
+    saveStoreConfig(patch) {
+        this.fetchStore('config', patch);
+    }
+    
+    // 本地没有历史（换设备或清除缓存）时从服务端存储恢复
+    async restoreFromStore() {
+        if (this.state.signalHistory.length > 0) return;
+        
+        const symbol = encodeURIComponent(this.config.symbol);
+        const result = await this.fetchStore(`trades?symbol=${symbol}&limit=20`);
+        if (!result || result.trades.length === 0) return;
+        
+        this.state.signalHistory = result.trades;
+        this.state.activeTrade = result.trades.find(trade => trade.status === 'active') || null;
+        
+        const stats = await this.fetchStore(`stats?symbol=${symbol}`);
+        if (stats) {
+            this.state.stats = { ...this.state.stats, ...stats };
+        }
+        
+        console.log(`☁️ 已从服务端存储恢复 ${result.trades.length} 笔交易`);
+    }
+    
+    // 本地模式把历史和统计同步到服务端存储（内容没有变化时跳过）
+    syncToStore() {
+        if (!this.config.storeUrl) return;
+        
+        const symbol = this.config.symbol;
+        const trades = this.state.signalHistory.map(trade => ({ symbol, ...trade }));
+        const payload = JSON.stringify({ trades, stats: this.state.stats });
+        if (payload === this.lastStoreSync) return;
+        this.lastStoreSync = payload;
+        
+        if (trades.length > 0) {
+            this.fetchStore('trades', { trades });
+        }
+        this.fetchStore('stats', { symbol, stats: this.state.stats });
+    }
+    
+    // 从服务端存储导入当前交易对的全部交易到历史库（换设备后补齐更早的记录）
+    async importStoreHistory() {
+        const symbol = this.config.symbol;
+        let offset = 0;
+        let imported = 0;
+        
+        while (true) {
+            const result = await this.fetchStore(`trades?symbol=${encodeURIComponent(symbol)}&offset=${offset}&limit=1000`);
+            if (!result) {
+                this.showStatus('导入历史失败', 'error');
+                return;
+            }
+            
+            imported += await historyDb.save(result.trades.map(trade => ({ ...trade, symbol: trade.symbol || symbol })));
+            offset += result.trades.length;
+            if (result.trades.length === 0 || offset >= result.total) break;
+        }
+        
+        this.renderHistoryPage();
+        this.showStatus(`已从服务器导入 ${imported} 笔交易`, 'success');
+    }
+    
+    startRemoteMode(hub) {
+        this.state.isRemote = true;
+        this.applyHubState(hub);
+        this.startAutoMode();
+        console.log('🌐 已切换到服务端引擎，本地只负责显示');
+    }
+    
+    // 服务端返回所有交易对的快照
+    applyHubState(hub) {
+        this.markets = hub.engines;
+        this.config.watchlist = hub.watchlist;
+        this.applyReplayState(hub.replay);
+        
+        if (!this.config.watchlist.includes(this.config.symbol)) {
+            this.config.symbol = this.config.watchlist[0];
+        }
+        
+        this.renderSymbolSelector();
+        this.applyEngineState(this.markets[this.config.symbol]);
+        this.renderWatchlist();
+    }
+    
+    // 手动操作（生成信号/检查交易）由服务端执行
+    requestEngineAction(action, body = null) {
+        const symbol = this.config.symbol;
+        
+        return this.fetchEngineState(action, symbol, body).then(snapshot => {
+            if (!snapshot) return null;
+            
+            this.markets[symbol] = snapshot;
+            if (symbol === this.config.symbol) {
+                this.applyEngineState(snapshot);
+            }
+            this.renderWatchlist();
+            return snapshot;
+        });
+    }
+    
+    applyEngineState(snapshot) {
+        if (!snapshot) return;
+        
+        const previousTrade = this.state.activeTrade;
+        const previousCooldown = this.state.cooldownEnd ? this.state.cooldownEnd.getTime() : null;
+        
+        this.state.indicators = snapshot.indicators;
+        this.state.activeTrade = snapshot.activeTrade;
+        this.state.signalHistory = snapshot.signalHistory;
+        this.state.stats = snapshot.stats;
+        this.state.account = snapshot.account || this.state.account;
+        this.state.tradeLog = snapshot.tradeLog || [];
+        this.state.cooldownEnd = snapshot.cooldownEnd ? new Date(snapshot.cooldownEnd) : null;
+        
+        if (snapshot.strategy && snapshot.strategy !== this.config.strategy) {
+            this.config.strategy = snapshot.strategy;
+            this.renderStrategySelector();
+        }
+        
+        if (snapshot.ticker && snapshot.currentPrice !== this.state.currentPrice) {
+            this.updatePriceData(snapshot.ticker);
+        }
+        
+        this.updateIndicatorsDisplay();
+        this.updateHistoryDisplay();
+        this.updateStatsDisplay();
+        
+        // 冷却时间变化时才重新启动倒计时
+        const cooldown = this.state.cooldownEnd ? this.state.cooldownEnd.getTime() : null;
+        if (cooldown !== previousCooldown) {
+            this.updateCooldownDisplay();
+        }
+        
+        const trade = snapshot.activeTrade;
+        if (trade && (!previousTrade || previousTrade.id !== trade.id)) {
+            this.displaySignal(trade);
+        } else if (trade && previousTrade.sl !== trade.sl) {
+            // TP1部分止盈后止损已移动
+            this.updateTradeParamsDisplay(trade);
+        }
+        if (trade) {
+            this.updateDistanceDisplay(trade, this.state.currentPrice);
+        }
+        
+        // 上一笔交易已完成
+        if (previousTrade && (!trade || trade.id !== previousTrade.id)) {
+            const finished = snapshot.signalHistory.find(s => s.id === previousTrade.id);
+            if (finished && finished.result) {
+                this.highlightTradeResult(finished.result, finished.status === 'hit_tp2' ? 2 : 1);
+            }
+        }
+        
+        if (snapshot.tradeStatus) {
+            this.updateTradeStatus(snapshot.tradeStatus.status, snapshot.tradeStatus.message);
+        }
+    }
+    
+    connectStream() {
+        // 不支持SSE时退回轮询
+        if (typeof EventSource === 'undefined') {
+            this.intervals.remote = setInterval(async () => {
+                const hub = await this.fetchEngineState();
+                if (hub) this.applyHubState(hub);
+            }, this.config.priceUpdateInterval);
+            return;
+        }
+        
+        const query = this.lastEventId ? `?lastEventId=${encodeURIComponent(this.lastEventId)}` : '';
+        const source = new EventSource(`${this.config.engineUrl}/stream${query}`);
+        this.eventSource = source;
+        
+        ['snapshot', 'ticker', 'indicators', 'signal', 'trade_closed', 'cooldown', 'status', 'strategy', 'replay', 'partial_fill', 'stop_moved', 'execution', 'account', 'reset'].forEach(type => {
+            source.addEventListener(type, event => {
+                this.lastEventId = event.lastEventId;
+                this.handleEngineEvent(type, JSON.parse(event.data));
+            });
+        });
+        
+        source.onopen = () => {
+            this.streamRetryDelay = 1000;
+            this.showStatus('实时推送已连接', 'success');
+        };
+        
+        source.onerror = () => {
+            // 浏览器会自动重连并携带Last-Event-ID
+            if (source.readyState !== EventSource.CLOSED) {
+                this.showStatus('推送连接中断，正在重连...', 'warning');
+                return;
+            }
+            
+            // 连接被关闭，退避后手动重连
+            source.close();
+            if (!this.state.isRunning) return;
+            
+            const delay = this.streamRetryDelay;
+            this.streamRetryDelay = Math.min(delay * 2, 30000);
+            this.streamRetryTimer = setTimeout(() => this.connectStream(), delay);
+            this.showStatus(`推送连接断开，${delay / 1000}秒后重连`, 'warning');
+        };
+    }
+    
+    disconnectStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        
+        if (this.streamRetryTimer) {
+            clearTimeout(this.streamRetryTimer);
+            this.streamRetryTimer = null;
+        }
+    }
+    
+    handleEngineEvent(type, { symbol, data }) {
+        if (type === 'snapshot') {
+            this.applyHubState(data);
+            return;
+        }
+        
+        if (type === 'replay') {
+            this.applyReplayState(data);
+            return;
+        }
+        
+        const market = this.markets[symbol];
+        if (!market) return;
+        
+        this.updateMarketSnapshot(market, type, data);
+        
+        // 只渲染当前选中的交易对
+        if (symbol === this.config.symbol) {
+            if (type === 'ticker') {
+                this.updatePriceData(data.ticker);
+                if (this.state.activeTrade) {
+                    this.updateDistanceDisplay(this.state.activeTrade, this.state.currentPrice);
+                }
+            } else {
+                this.applyEngineState(market);
+            }
+            
+            if (type === 'signal') {
+                this.showStatus(`新信号生成: ${data.action}`, 'success');
+            }
+        }
+        
+        this.renderWatchlist();
+    }
+    
+    // 回放状态：同步回放时钟并更新回放控制条
+    applyReplayState(replay) {
+        const bar = document.getElementById('replayBar');
+        
+        if (!replay) {
+            this.clockSync = null;
+            if (bar) bar.classList.add('hidden');
+            return;
+        }
+        
+        this.clockSync = {
+            time: replay.time,
+            receivedAt: Date.now(),
+            speed: replay.speed,
+            running: !replay.finished
+        };
+        
+        if (bar) bar.classList.remove('hidden');
+        
+        const timeElement = document.getElementById('replayTime');
+        const progressElement = document.getElementById('replayProgress');
+        const speedElement = document.getElementById('replaySpeed');
+        
+        if (timeElement) {
+            timeElement.textContent = `${new Date(replay.time).toLocaleString('zh-CN')}${replay.finished ? '（已结束）' : ''}`;
+        }
+        
+        if (progressElement) {
+            progressElement.style.width = `${(replay.progress * 100).toFixed(1)}%`;
+        }
+        
+        if (speedElement) {
+            speedElement.value = String(replay.speed);
+            speedElement.onchange = () => this.setReplaySpeed(parseFloat(speedElement.value));
+        }
+    }
+    
+    async setReplaySpeed(speed) {
+        try {
+            const response = await this.postToServer(`${this.config.replayUrl}/speed`, { speed });
+            
+            if (!response.ok) throw new Error(`HTTP错误: ${response.status}`);
+            
+            this.applyReplayState(await response.json());
+            this.showStatus(`回放速度: ${speed}x`, 'success');
+        } catch (error) {
+            console.error('设置回放速度失败:', error);
+            this.showStatus('设置回放速度失败', 'error');
+        }
+    }
+    
+    updateMarketSnapshot(market, type, data) {
+        switch (type) {
+            case 'ticker':
+                market.ticker = data.ticker;
+                market.currentPrice = data.currentPrice;
+                break;
+                
+            case 'indicators':
+                market.indicators = data;
+                break;
+                
+            case 'signal':
+                market.activeTrade = data;
+                market.signalHistory = [data, ...market.signalHistory].slice(0, 20);
+                break;
+                
+            case 'trade_closed': {
+                const { trade, stats, account, logEntry } = data;
+                market.signalHistory = market.signalHistory.map(s => s.id === trade.id ? trade : s);
+                market.activeTrade = null;
+                market.stats = stats;
+                market.account = account;
+                if (logEntry) market.tradeLog = [...(market.tradeLog || []), logEntry];
+                break;
+            }
+                
+            case 'account':
+                market.account = data.account;
+                break;
+                
+            case 'reset':
+                Object.assign(market, data);
+                break;
+                
+            case 'cooldown':
+                market.cooldownEnd = data.cooldownEnd;
+                break;
+                
+            case 'status':
+                market.tradeStatus = data;
+                break;
+                
+            case 'strategy':
+                market.strategy = data.strategy;
+                break;
+                
+            case 'execution':
+                // 对账可能发生在交易结束之后
+                if (market.activeTrade && market.activeTrade.id === data.trade.id) {
+                    market.activeTrade = data.trade;
+                }
+                market.signalHistory = market.signalHistory.map(s => s.id === data.trade.id ? data.trade : s);
+                break;
+                
+            case 'stop_moved':
+                market.activeTrade = data.trade;
+                market.signalHistory = market.signalHistory.map(s => s.id === data.trade.id ? data.trade : s);
+                break;
+                
+            case 'partial_fill': {
+                const { trade, stats, account } = data;
+                market.activeTrade = trade;
+                market.signalHistory = market.signalHistory.map(s => s.id === trade.id ? trade : s);
+                market.stats = stats;
+                market.account = account;
+                break;
+            }
+        }
+    }
+    
     // ==================== 技术分析方法 ====================
     
     calculateIndicators() {
@@ -232,6 +863,23 @@ class AutoTradingSystem {
         // 计算波动率
         this.state.indicators.volatility = this.calculateVolatility(closes);
         
+        // 计算ATR（移动止损使用）
+        this.state.indicators.atr = this.calculateATR(this.candles, this.config.atrPeriod);
+        
+        // 扩展指标（面板显示，策略可通过 indicators 读取）
+        Object.assign(this.state.indicators, this.calculateExtraIndicators(this.candles));
+        this.state.indicators.volume = this.calculateVolumeIndicators(this.candles);
+        
+        // 计算高周期趋势
+        const higherTrends = {};
+        this.config.higherTimeframes.forEach(timeframe => {
+            const candles = this.higherCandles[timeframe] || [];
+            if (candles.length >= 10) {
+                higherTrends[timeframe] = this.calculateTrend(candles.map(c => c.close));
+            }
+        });
+        this.state.indicators.higherTrends = higherTrends;
+        
         // 更新UI显示
         this.updateIndicatorsDisplay();
         
@@ -242,38 +890,55 @@ class AutoTradingSystem {
         });
     }
     
+    // Wilder ATR（数据不足时为0）
+    calculateATR(candles, period = 14) {
+        const atr = ta.atr(candles, period);
+        return atr === null ? 0 : atr;
+    }
+    
+    // Wilder RSI（数据不足时为中性50）
     calculateRSI(closes) {
-        if (closes.length < 14) return 50;
-        
-        let gains = 0;
-        let losses = 0;
+        const rsi = ta.rsi(closes, 14);
+        return rsi === null ? 50 : rsi;
+    }
+    
+    calculateExtraIndicators(candles) {
+        const closes = candles.map(c => c.close);
+        const { emaFastPeriod, emaSlowPeriod } = this.config;
+        const emaFast = ta.ema(closes, emaFastPeriod);
+        const emaSlow = ta.ema(closes, emaSlowPeriod);
         
-        // 计算初始平均值
-        for (let i = 1; i < 14; i++) {
-            const change = closes[i] - closes[i - 1];
-            if (change > 0) {
-                gains += change;
-            } else {
-                losses += Math.abs(change);
-            }
-        }
+        return {
+            ema: { fast: emaFast[emaFast.length - 1] ?? null, slow: emaSlow[emaSlow.length - 1] ?? null },
+            macd: ta.macd(closes, emaFastPeriod, emaSlowPeriod, this.config.macdSignalPeriod),
+            bollinger: ta.bollinger(closes, this.config.bollingerPeriod, this.config.bollingerStdDev),
+            stochastic: ta.stochastic(candles, this.config.stochasticPeriod),
+            adx: ta.adx(candles, this.config.adxPeriod),
+            vwap: ta.vwap(candles)
+        };
+    }
+    
+    // 相对成交量只看已收盘的K线（未收盘K线的成交量还在累积）
+    calculateVolumeIndicators(candles) {
+        const { volumePeriod } = this.config;
+        const last = candles[candles.length - 1];
+        const closed = this.now() >= last.timestamp + this.getTimeframeMs('15m') ? candles.length - 1 : candles.length - 2;
         
-        let avgGain = gains / 13;
-        let avgLoss = losses / 13;
+        const obvSeries = ta.obv(candles);
+        const obv = obvSeries[obvSeries.length - 1];
+        const obvBefore = obvSeries[Math.max(0, obvSeries.length - 1 - volumePeriod)];
         
-        // 计算后续值
-        for (let i = 14; i < closes.length; i++) {
-            const change = closes[i] - closes[i - 1];
-            const gain = change > 0 ? change : 0;
-            const loss = change < 0 ? Math.abs(change) : 0;
-            
-            avgGain = (avgGain * 13 + gain) / 14;
-            avgLoss = (avgLoss * 13 + loss) / 14;
-        }
+        const profile = ta.volumeProfile(candles, this.config.volumeProfileBins);
+        const levels = ta.volumeLevels(profile, this.state.currentPrice || last.close);
         
-        if (avgLoss === 0) return 100;
-        const rs = avgGain / avgLoss;
-        return 100 - (100 / (1 + rs));
+        return {
+            relative: ta.relativeVolume(candles, volumePeriod, closed),
+            obv,
+            obvTrend: obv > obvBefore ? 'rising' : obv < obvBefore ? 'falling' : 'flat',
+            support: levels.support,
+            resistance: levels.resistance,
+            poc: profile ? profile.poc : null
+        };
     }
     
     calculateSupportResistance(highs, lows, currentPrice) {
@@ -391,65 +1056,37 @@ class AutoTradingSystem {
         const { rsi, trend, volatility, pricePosition } = this.state.indicators;
         const price = this.state.currentPrice;
         
-        let action = 'HOLD';
-        let confidence = 0.5;
-        let reason = '';
+        // 由当前选择的策略给出基础信号
+        const strategy = strategies.get(this.config.strategy);
+        let { action, confidence, reason } = strategy.analyze({
+            candles: this.candles,
+            indicators: this.state.indicators,
+            price,
+            config: this.config
+        });
         
-        // RSI信号
-        if (rsi < this.config.rsiOversold) {
-            // RSI超卖，可能买入机会
-            if (trend === 'bullish' || trend === 'neutral') {
-                action = 'BUY';
-                confidence = 0.7 + (this.config.rsiOversold - rsi) / 50;
-                reason = `RSI超卖(${rsi.toFixed(1)} < ${this.config.rsiOversold})，趋势${trend === 'bullish' ? '向上' : '中性'}`;
-                
-                if (pricePosition < 40) {
-                    reason += `，价格接近支撑位(${pricePosition.toFixed(1)}%)`;
-                    confidence += 0.05;
-                }
-            } else {
-                reason = `RSI超卖(${rsi.toFixed(1)})但趋势向下，等待确认`;
-            }
-            
-        } else if (rsi > this.config.rsiOverbought) {
-            // RSI超买，可能卖出机会
-            if (trend === 'bearish' || trend === 'neutral') {
-                action = 'SELL';
-                confidence = 0.7 + (rsi - this.config.rsiOverbought) / 50;
-                reason = `RSI超买(${rsi.toFixed(1)} > ${this.config.rsiOverbought})，趋势${trend === 'bearish' ? '向下' : '中性'}`;
-                
-                if (pricePosition > 60) {
-                    reason += `，价格接近阻力位(${pricePosition.toFixed(1)}%)`;
-                    confidence += 0.05;
-                }
-            } else {
-                reason = `RSI超买(${rsi.toFixed(1)})但趋势向上，等待确认`;
-            }
+        // 高周期确认：买入要求高周期不看跌，卖出要求高周期不看涨
+        const higherTrends = this.state.indicators.higherTrends || {};
+        const timeframes = Object.keys(higherTrends);
+        
+        if (timeframes.length > 0) {
+            const trendText = { bullish: '向上', bearish: '向下', neutral: '中性' };
+            reason += ` | 高周期: ${timeframes.map(tf => `${tf}${trendText[higherTrends[tf]]}`).join(' / ')}`;
             
-        } else if (rsi > this.config.rsiNeutralMin && rsi < this.config.rsiNeutralMax) {
-            // RSI中性区间
-            reason = `RSI中性(${rsi.toFixed(1)})，市场平衡`;
-            confidence = 0.6;
+            const opposing = timeframes.filter(tf =>
+                (action === 'BUY' && higherTrends[tf] === 'bearish') ||
+                (action === 'SELL' && higherTrends[tf] === 'bullish')
+            );
             
-        } else {
-            // RSI在正常区间
-            if (pricePosition < 30 && trend !== 'bearish') {
-                action = 'BUY';
-                confidence = 0.65;
-                reason = `价格接近支撑位(${pricePosition.toFixed(1)}%)，RSI适中(${rsi.toFixed(1)})`;
-            } else if (pricePosition > 70 && trend !== 'bullish') {
-                action = 'SELL';
-                confidence = 0.65;
-                reason = `价格接近阻力位(${pricePosition.toFixed(1)}%)，RSI适中(${rsi.toFixed(1)})`;
-            } else {
-                reason = `市场无明显信号，RSI: ${rsi.toFixed(1)}，位置: ${pricePosition.toFixed(1)}%`;
+            if (opposing.length > 0) {
+                reason += `，${opposing.join('/')}趋势相反，取消${action === 'BUY' ? '买入' : '卖出'}`;
+                action = 'HOLD';
             }
         }
         
-        // 波动率过滤
-        if (volatility > this.config.highVolatility) {
-            confidence *= 0.8;
-            reason += ` | 高波动率(${volatility.toFixed(1)}%)降低信号强度`;
+        // 成交量确认
+        if (this.config.volumeConfirmation && action !== 'HOLD') {
+            ({ action, confidence, reason } = this.applyVolumeConfirmation(action, confidence, reason, price));
         }
         
         // 限制置信度范围
@@ -463,19 +1100,61 @@ class AutoTradingSystem {
             rsi: rsi.toFixed(2),
             trend,
             volatility: volatility.toFixed(1),
-            pricePosition: pricePosition.toFixed(1)
+            pricePosition: pricePosition.toFixed(1),
+            strategy: strategy.id
         };
     }
     
+    // 缩量跳过信号；放量、OBV同向、靠近成交量支撑/阻力提高置信度，OBV背离降低置信度
+    applyVolumeConfirmation(action, confidence, reason, price) {
+        const volume = this.state.indicators.volume;
+        if (!volume || volume.relative === null) return { action, confidence, reason };
+        
+        const { minRelativeVolume, highRelativeVolume, volumeLevelTolerance } = this.config;
+        const notes = [];
+        
+        if (volume.relative < minRelativeVolume) {
+            return {
+                action: 'HOLD',
+                confidence,
+                reason: `${reason} | 成交量: 缩量(${volume.relative.toFixed(2)}x < ${minRelativeVolume}x)，跳过${action === 'BUY' ? '买入' : '卖出'}`
+            };
+        }
+        
+        if (volume.relative >= highRelativeVolume) {
+            confidence += 0.05;
+            notes.push(`放量${volume.relative.toFixed(2)}x`);
+        } else {
+            notes.push(`量比${volume.relative.toFixed(2)}x`);
+        }
+        
+        const obvConfirms = action === 'BUY' ? 'rising' : 'falling';
+        if (volume.obvTrend === obvConfirms) {
+            confidence += 0.05;
+            notes.push('OBV同向');
+        } else if (volume.obvTrend !== 'flat') {
+            confidence -= 0.05;
+            notes.push('OBV背离');
+        }
+        
+        const level = action === 'BUY' ? volume.support : volume.resistance;
+        if (level && Math.abs(price - level) / price <= volumeLevelTolerance) {
+            confidence += 0.05;
+            notes.push(`靠近成交量${action === 'BUY' ? '支撑' : '阻力'}(${level.toFixed(2)})`);
+        }
+        
+        return { action, confidence, reason: `${reason} | 成交量: ${notes.join('，')}` };
+    }
+    
     createTradeRecord(signal) {
-        const { action, confidence, reason, price, rsi } = signal;
+        const { action, confidence, reason, price, rsi, strategy } = signal;
         const priceNum = parseFloat(price);
         
         // 计算交易参数
         const params = this.calculateTradeParams(action, priceNum, parseFloat(confidence));
         
         // 生成唯一ID
-        const id = `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const id = `trade_${this.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
         return {
             id,
@@ -488,30 +1167,53 @@ class AutoTradingSystem {
             positionSize: params.positionSize,
             positionPercent: params.positionPercent,
             riskReward: params.riskReward,
+            tpSlMode: params.mode,
+            atr: params.mode === 'atr' ? params.atr.toFixed(2) : null,
+            entrySlippage: this.calculateSlippage(priceNum),  // 开仓市价单的不利价差（每单位）
             reason,
             rsi,
+            entryIndicators: this.captureIndicators(),
+            strategy: strategy || this.config.strategy,
             symbol: this.config.symbol,
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(this.now()).toISOString(),
             status: 'active',
             result: null,
             pnl: null,
             exitPrice: null,
-            completedAt: null
+            completedAt: null,
+            initialSl: params.sl.toFixed(2),
+            remaining: 1,              // 未平仓比例
+            fills: []                  // 分批成交记录
         };
     }
     
     calculateTradeParams(action, price, confidence) {
         let tp1, tp2, sl;
         
+        // 止损/目标距离：ATR模式按波动率，否则按固定百分比（没有ATR时同样回退）
+        const atr = this.state.indicators.atr;
+        const mode = this.config.tpSlMode === 'atr' && atr > 0 ? 'atr' : 'fixed';
+        let slDistance, tp1Distance, tp2Distance;
+        
+        if (mode === 'atr') {
+            slDistance = Math.max(atr * this.config.slAtrMultiple, price * this.config.minStopPercent);
+            tp1Distance = Math.max(atr * this.config.tp1AtrMultiple, slDistance * this.config.minRiskReward);
+            tp2Distance = Math.max(atr * this.config.tp2AtrMultiple, tp1Distance);
+        } else {
+            slDistance = price * this.config.slPercent;
+            tp1Distance = price * this.config.tp1Percent;
+            tp2Distance = price * this.config.tp2Percent;
+        }
+        
         // 计算TP/SL
         if (action === 'BUY') {
-            tp1 = price * (1 + this.config.tp1Percent);
-            tp2 = price * (1 + this.config.tp2Percent);
-            sl = price * (1 - this.config.slPercent);
+            tp1 = price + tp1Distance;
+            tp2 = price + tp2Distance;
+            sl = price - slDistance;
         } else if (action === 'SELL') {
-            tp1 = price * (1 - this.config.tp1Percent);
-            tp2 = price * (1 - this.config.tp2Percent);
-            sl = price * (1 + this.config.slPercent);
+            tp1 = price - tp1Distance;
+            tp2 = price - tp2Distance;
+            sl = price + slDistance;
         }
         
         // 计算风险回报比
@@ -519,13 +1221,14 @@ class AutoTradingSystem {
         const reward = Math.abs(tp1 - price);
         const riskReward = (reward / risk).toFixed(2);
         
-        // 计算建议仓位
-        const riskAmount = this.config.accountBalance * this.config.riskPerTrade;
+        // 计算建议仓位（按止损距离反推，止损越宽仓位越小；风险金额按账户净值，盈亏复利）
+        const equity = Math.max(0, this.getEquity());
+        const riskAmount = equity * this.config.riskPerTrade;
         const positionSize = Math.min(
             (riskAmount / (risk / price)),
-            this.config.accountBalance * this.config.maxPositionPercent
+            equity * this.config.maxPositionPercent
         );
-        const positionPercent = ((positionSize / this.config.accountBalance) * 100).toFixed(1);
+        const positionPercent = equity > 0 ? ((positionSize / equity) * 100).toFixed(1) : '0.0';
         
         return {
             tp1,
@@ -533,7 +1236,9 @@ class AutoTradingSystem {
             sl,
             riskReward,
             positionSize: positionSize.toFixed(2),
-            positionPercent
+            positionPercent,
+            mode,
+            atr
         };
     }
     
@@ -548,6 +1253,7 @@ class AutoTradingSystem {
         const tp1 = parseFloat(trade.tp1);
         const tp2 = parseFloat(trade.tp2);
         const sl = parseFloat(trade.sl);
+        const tp1Filled = this.isTp1Filled(trade);
         
         let triggered = false;
         let result = null;
@@ -558,7 +1264,7 @@ class AutoTradingSystem {
                 result = 'win';
                 tpLevel = 2;
                 triggered = true;
-            } else if (current >= tp1) {
+            } else if (current >= tp1 && !tp1Filled) {
                 result = 'win';
                 tpLevel = 1;
                 triggered = true;
@@ -571,7 +1277,7 @@ class AutoTradingSystem {
                 result = 'win';
                 tpLevel = 2;
                 triggered = true;
-            } else if (current <= tp1) {
+            } else if (current <= tp1 && !tp1Filled) {
                 result = 'win';
                 tpLevel = 1;
                 triggered = true;
@@ -582,53 +1288,386 @@ class AutoTradingSystem {
         }
         
         if (triggered) {
-            this.completeTrade(result, tpLevel, current);
-        } else {
+            trade.resolvedBy = 'ticker';
+            this.handleExit(result, tpLevel, current);
+        }
+        
+        // 未离场则按最新价移动止损
+        if (this.state.activeTrade === trade) {
+            this.updateTrailingStop(trade, current, current, current);
             this.updateDistanceDisplay(trade, current);
         }
     }
     
-    completeTrade(result, tpLevel, currentPrice) {
+    // ==================== 移动止损 ====================
+    
+    // 止损只向有利方向移动；high/low 为本次检查覆盖的价格区间
+    updateTrailingStop(trade, high, low, close) {
+        const mode = this.config.trailingStop;
+        if (!mode || mode === 'off') return false;
+        
+        const isBuy = trade.action === 'BUY';
+        const previousExtreme = trade.extremePrice ?? parseFloat(trade.price);
+        
+        // 开仓以来的最高价（多）/最低价（空）
+        trade.extremePrice = isBuy ? Math.max(previousExtreme, high) : Math.min(previousExtreme, low);
+        
+        const atr = this.state.indicators.atr;
+        const atrDistance = atr * this.config.trailingAtrMultiple;
+        let candidate;
+        
+        if (mode === 'percent') {
+            candidate = trade.extremePrice * (isBuy ? 1 - this.config.trailingPercent : 1 + this.config.trailingPercent);
+        } else if (mode === 'atr' && atr > 0) {
+            candidate = isBuy ? close - atrDistance : close + atrDistance;
+        } else if (mode === 'chandelier' && atr > 0) {
+            candidate = isBuy ? trade.extremePrice - atrDistance : trade.extremePrice + atrDistance;
+        } else {
+            return false;
+        }
+        
+        return this.moveStop(trade, candidate, mode);
+    }
+    
+    // 记录每次止损调整；不会放宽止损
+    moveStop(trade, price, mode) {
+        const current = parseFloat(trade.sl);
+        const next = price.toFixed(2);
+        const tighter = trade.action === 'BUY' ? price > current : price < current;
+        
+        if (!tighter || next === trade.sl) return false;
+        
+        trade.stopAdjustments = [...(trade.stopAdjustments || []), {
+            time: new Date(this.now()).toISOString(),
+            from: trade.sl,
+            to: next,
+            mode,
+            extremePrice: trade.extremePrice !== undefined ? trade.extremePrice.toFixed(2) : null
+        }];
+        trade.sl = next;
+        
+        this.onStopAdjusted(trade);
+        return true;
+    }
+    
+    onStopAdjusted(trade) {
+        this.updateTradeParamsDisplay(trade);
+        this.saveData();
+    }
+    
+    // ==================== 分批止盈 ====================
+    
+    isTp1Filled(trade) {
+        return (trade.fills || []).some(fill => fill.type === 'tp1');
+    }
+    
+    canScaleOut(trade) {
+        const fraction = this.config.tp1CloseFraction;
+        return fraction > 0 && fraction < 1 && !this.isTp1Filled(trade);
+    }
+    
+    // 首次到达TP1时部分平仓，其余情况平掉剩余仓位
+    handleExit(result, tpLevel, exitPrice) {
         const trade = this.state.activeTrade;
         
-        // 计算盈亏
-        const positionSize = parseFloat(trade.positionSize);
+        if (result === 'win' && tpLevel === 1 && this.canScaleOut(trade)) {
+            this.takePartialProfit(trade);
+        } else {
+            this.completeTrade(result, tpLevel, exitPrice);
+        }
+    }
+    
+    // 记录一笔成交（按开仓仓位的比例），净盈亏立即计入统计
+    recordFill(trade, type, price, fraction) {
         const entry = parseFloat(trade.price);
-        let pnl = 0;
+        const size = parseFloat(trade.positionSize) * fraction;
+        const grossPnl = (trade.action === 'BUY' ? price - entry : entry - price) * (size / entry);
+        const costs = this.calculateFillCosts(trade, type, price, size);
+        const pnl = grossPnl - costs.fees - costs.slippage - costs.funding;
+        
+        // 成本金额很小，保留4位小数
+        const fill = {
+            type,
+            price: price.toFixed(2),
+            fraction,
+            size: size.toFixed(2),
+            grossPnl: grossPnl.toFixed(4),
+            fees: costs.fees.toFixed(4),
+            slippage: costs.slippage.toFixed(4),
+            funding: costs.funding.toFixed(4),
+            pnl: pnl.toFixed(4),
+            time: new Date(this.now()).toISOString()
+        };
         
-        if (result === 'win') {
-            const tpPrice = tpLevel === 1 ? parseFloat(trade.tp1) : parseFloat(trade.tp2);
+        trade.fills = [...(trade.fills || []), fill];
+        trade.remaining = Math.max(0, parseFloat(((trade.remaining ?? 1) - fraction).toFixed(6)));
+        
+        // 净盈亏计入模拟账户余额
+        const account = this.state.account;
+        account.balance += parseFloat(fill.pnl);
+        account.realizedPnL += parseFloat(fill.pnl);
+        this.recordLedger('pnl', parseFloat(fill.pnl), `${trade.symbol} ${trade.action} ${type}`);
+        
+        const stats = this.state.stats;
+        stats.totalPnL += parseFloat(fill.pnl);
+        stats.grossPnL = (stats.grossPnL || 0) + parseFloat(fill.grossPnl);
+        stats.totalFees = (stats.totalFees || 0) + parseFloat(fill.fees);
+        stats.totalSlippage = (stats.totalSlippage || 0) + parseFloat(fill.slippage);
+        stats.totalFunding = (stats.totalFunding || 0) + parseFloat(fill.funding);
+        
+        return fill;
+    }
+    
+    // 一笔平仓成交的成本：开仓手续费和滑点按平仓比例分摊，加上平仓手续费、滑点和持仓期间的资金费
+    calculateFillCosts(trade, type, price, size) {
+        const entry = parseFloat(trade.price);
+        const quantity = size / entry;
+        const isMaker = type === 'tp1' || type === 'tp2';
+        
+        const entryFee = size * this.config.takerFeeRate;
+        const exitFee = quantity * price * (isMaker ? this.config.makerFeeRate : this.config.takerFeeRate);
+        const entrySlippage = quantity * (trade.entrySlippage || 0);
+        const exitSlippage = isMaker ? 0 : quantity * this.calculateSlippage(price);
+        
+        // 资金费率为正时多头支付、空头收取（负成本）；现货不收资金费
+        const periods = this.isPerpetual(trade.symbol || this.config.symbol) ?
+            this.countFundingPeriods(new Date(trade.timestamp).getTime(), this.now()) : 0;
+        const funding = size * this.config.fundingRate * periods * (trade.action === 'BUY' ? 1 : -1);
+        
+        return {
+            fees: entryFee + exitFee,
+            slippage: entrySlippage + exitSlippage,
+            funding
+        };
+    }
+    
+    // 市价成交的不利价差（每单位价格）
+    calculateSlippage(price) {
+        if (this.config.slippageModel === 'bps') {
+            return price * this.config.slippageBps / 10000;
+        }
+        if (this.config.slippageModel === 'volatility') {
+            return (this.state.indicators.atr || 0) * this.config.slippageAtrFraction;
+        }
+        return 0;
+    }
+    
+    // 永续合约（OKX instId 以 -SWAP 结尾）
+    isPerpetual(symbol) {
+        return /-SWAP$/i.test(String(symbol || ''));
+    }
+    
+    // 持仓期间经过的资金费结算次数
+    countFundingPeriods(from, to) {
+        const interval = this.config.fundingIntervalHours * 3600000;
+        if (!interval || !this.config.fundingRate) return 0;
+        
+        return Math.max(0, Math.floor(to / interval) - Math.floor(from / interval));
+    }
+    
+    takePartialProfit(trade) {
+        const fill = this.recordFill(trade, 'tp1', parseFloat(trade.tp1), this.config.tp1CloseFraction);
+        
+        // 止损移到保本位（可带偏移锁定部分利润），移动止损已更有利时保持不变
+        const entry = parseFloat(trade.price);
+        const offset = entry * this.config.breakevenOffset;
+        this.moveStop(trade, trade.action === 'BUY' ? entry + offset : entry - offset, 'breakeven');
+        
+        this.state.stats.partialFills = (this.state.stats.partialFills || 0) + 1;
+        this.onPartialFill(trade, fill);
+        
+        console.log(`🎯 TP1部分止盈: ${(fill.fraction * 100).toFixed(0)}% @ $${fill.price}, PnL: $${fill.pnl}, 止损移至 $${trade.sl}`);
+    }
+    
+    onPartialFill(trade, fill) {
+        this.updateTradeParamsDisplay(trade);
+        this.updateHistoryDisplay();
+        this.updateStatsDisplay();
+        this.updateTradeStatus('进行中', 
+            `TP1平仓${(fill.fraction * 100).toFixed(0)}%，盈利 $${fill.pnl}，止损移至保本 $${trade.sl}`);
+        this.saveData();
+    }
+    
+    // ==================== K线内TP/SL判定 ====================
+    
+    getTimeframeMs(timeframe) {
+        const match = String(timeframe).match(/^(\d+)([smHD])$/);
+        if (!match) throw new Error(`不支持的K线周期: ${timeframe}`);
+        
+        const unit = { s: 1000, m: 60000, H: 3600000, D: 86400000 }[match[2]];
+        return parseInt(match[1], 10) * unit;
+    }
+    
+    // 轮询间隔内的影线：取上次检查以来的K线，按时间顺序判断是否触及TP/SL
+    async checkIntrabarConditions() {
+        const trade = this.state.activeTrade;
+        if (!trade || !this.config.intrabarTimeframe) return false;
+        
+        try {
+            const barMs = this.getTimeframeMs(this.config.intrabarTimeframe);
+            const since = trade.checkedUntil || new Date(trade.timestamp).getTime();
+            const limit = Math.min(300, Math.ceil((this.now() - since) / barMs) + 1);
             
-            if (trade.action === 'BUY') {
-                pnl = (tpPrice - entry) * (positionSize / entry);
-            } else {
-                pnl = (entry - tpPrice) * (positionSize / entry);
+            // 开仓前开始的K线可能包含开仓前的价格，不参与判断
+            const bars = (await this.getCandleData(this.config.intrabarTimeframe, limit))
+                .filter(bar => bar.timestamp >= since);
+            
+            for (const bar of bars) {
+                // 等待数据期间交易可能已被最新价检查平仓
+                if (this.state.activeTrade !== trade) return false;
+                
+                let outcome = this.evaluateBar(trade, bar);
+                if (outcome && outcome.ambiguous) {
+                    outcome = await this.resolveBothTouched(trade, bar, outcome);
+                }
+                
+                if (outcome && this.state.activeTrade === trade) {
+                    this.closeWithOutcome(trade, outcome);
+                    if (this.state.activeTrade !== trade) return true;
+                    
+                    // TP1部分止盈所在K线内无法区分先后，从下一根开始检查保本止损
+                    trade.checkedUntil = bar.timestamp + this.getTimeframeMs(this.config.intrabarTimeframe);
+                    continue;
+                }
+                
+                // K线内先后顺序未知，先按旧止损判断，再用这根K线移动止损
+                this.updateTrailingStop(trade, bar.high, bar.low, bar.close);
+                
+                // 最后一根可能未收盘，下次从它开始重新检查
+                trade.checkedUntil = bar.timestamp;
             }
-        } else {
-            const slPrice = parseFloat(trade.sl);
-            if (trade.action === 'BUY') {
-                pnl = (slPrice - entry) * (positionSize / entry);
-            } else {
-                pnl = (entry - slPrice) * (positionSize / entry);
+        } catch (error) {
+            console.error('K线TP/SL检查失败:', error);
+        }
+        
+        return false;
+    }
+    
+    // 单根K线是否触及TP/SL；同时触及时返回 ambiguous 及两种结果
+    evaluateBar(trade, bar) {
+        const tp1 = parseFloat(trade.tp1);
+        const tp2 = parseFloat(trade.tp2);
+        const sl = parseFloat(trade.sl);
+        const isBuy = trade.action === 'BUY';
+        const tp1Open = !this.isTp1Filled(trade);
+        
+        const tpLevel = isBuy ?
+            (bar.high >= tp2 ? 2 : bar.high >= tp1 && tp1Open ? 1 : 0) :
+            (bar.low <= tp2 ? 2 : bar.low <= tp1 && tp1Open ? 1 : 0);
+        const slHit = isBuy ? bar.low <= sl : bar.high >= sl;
+        
+        if (!tpLevel && !slHit) return null;
+        
+        const win = { result: 'win', tpLevel, exitPrice: tpLevel === 2 ? tp2 : tp1, resolvedBy: 'candle' };
+        const loss = { result: 'loss', tpLevel: 0, exitPrice: sl, resolvedBy: 'candle' };
+        
+        if (tpLevel && slHit) {
+            return { ambiguous: true, win, loss };
+        }
+        return tpLevel ? win : loss;
+    }
+    
+    // 按规则取舍（不再细分）
+    pickBothTouched(outcome, rule) {
+        return rule === 'optimistic' ?
+            { ...outcome.win, resolvedBy: 'optimistic' } :
+            { ...outcome.loss, resolvedBy: 'pessimistic' };
+    }
+    
+    async resolveBothTouched(trade, bar, outcome) {
+        const rule = this.config.bothTouchedRule;
+        if (rule !== 'finer') return this.pickBothTouched(outcome, rule);
+        
+        try {
+            const spanMs = this.getTimeframeMs(this.config.intrabarTimeframe);
+            const fineMs = this.getTimeframeMs(this.config.finerTimeframe);
+            const limit = Math.min(300, Math.ceil((this.now() - bar.timestamp) / fineMs) + 1);
+            
+            const fineBars = (await this.getCandleData(this.config.finerTimeframe, limit))
+                .filter(fine => fine.timestamp >= bar.timestamp && fine.timestamp < bar.timestamp + spanMs);
+            
+            for (const fine of fineBars) {
+                const fineOutcome = this.evaluateBar(trade, fine);
+                if (!fineOutcome) continue;
+                if (fineOutcome.ambiguous) break;
+                return { ...fineOutcome, resolvedBy: 'finer' };
             }
+        } catch (error) {
+            console.error('获取细分K线失败:', error);
+        }
+        
+        console.log('⚖️ 细分K线无法判定TP/SL先后，按悲观规则处理');
+        return this.pickBothTouched(outcome, 'pessimistic');
+    }
+    
+    closeWithOutcome(trade, outcome) {
+        trade.resolvedBy = outcome.resolvedBy;
+        this.handleExit(outcome.result, outcome.tpLevel, outcome.exitPrice);
+    }
+    
+    completeTrade(result, tpLevel, currentPrice) {
+        const trade = this.state.activeTrade;
+        
+        // 直接到达TP2时，TP1部分先按TP1价格成交
+        if (result === 'win' && tpLevel === 2 && this.canScaleOut(trade)) {
+            this.recordFill(trade, 'tp1', parseFloat(trade.tp1), this.config.tp1CloseFraction);
+            this.state.stats.partialFills = (this.state.stats.partialFills || 0) + 1;
+        }
+        
+        // 剩余仓位按触发的价位成交
+        const tp1Filled = this.isTp1Filled(trade);
+        const lastAdjustment = (trade.stopAdjustments || []).slice(-1)[0];
+        const stopType = lastAdjustment ? (lastAdjustment.mode === 'breakeven' ? 'breakeven' : 'trail') :
+            (tp1Filled ? 'breakeven' : 'sl');
+        const exitType = result === 'manual' ? 'manual' : result === 'win' ? `tp${tpLevel}` : stopType;
+        const exitLevel = result === 'manual' ? currentPrice :
+            result === 'win' ? 
+            parseFloat(tpLevel === 1 ? trade.tp1 : trade.tp2) : 
+            parseFloat(trade.sl);
+        this.recordFill(trade, exitType, exitLevel, trade.remaining ?? 1);
+        
+        // 总盈亏为各笔成交之和（旧记录的成交没有成本明细）；止损已移动（保本/移动止损）时按净盈亏判定输赢
+        const sumFills = key => trade.fills.reduce((sum, fill) => sum + parseFloat(fill[key] ?? 0), 0);
+        const pnl = sumFills('pnl');
+        const grossPnl = trade.fills.reduce((sum, fill) => sum + parseFloat(fill.grossPnl ?? fill.pnl), 0);
+        if (exitType === 'breakeven' || exitType === 'trail' || exitType === 'manual') {
+            result = pnl >= 0 ? 'win' : 'loss';
+            tpLevel = tp1Filled ? 1 : 0;
         }
         
         // 更新交易记录
-        trade.status = result === 'win' ? 
-            (tpLevel === 1 ? 'hit_tp1' : 'hit_tp2') : 
+        trade.status = exitType === 'manual' ? 'closed_manual' :
+            exitType === 'trail' ? 'hit_trail' :
+            result === 'win' ? (tpLevel === 1 ? 'hit_tp1' : 'hit_tp2') : 
             'hit_sl';
         trade.result = result;
         trade.pnl = pnl.toFixed(2);
+        trade.grossPnl = grossPnl.toFixed(2);
+        trade.fees = sumFills('fees').toFixed(2);
+        trade.slippage = sumFills('slippage').toFixed(2);
+        trade.funding = sumFills('funding').toFixed(2);
         trade.exitPrice = currentPrice.toFixed(2);
-        trade.completedAt = new Date().toISOString();
+        trade.completedAt = new Date(this.now()).toISOString();
         
         // 更新统计数据
+        this.logClosedTrade(trade, pnl);
         this.updateStats(result, pnl);
         
         // 显示结果
-        const resultText = result === 'win' ? 
-            `${tpLevel === 2 ? '第二止盈' : '第一止盈'}达成，盈利 $${pnl.toFixed(2)}` :
-            `止损触发，亏损 $${Math.abs(pnl).toFixed(2)}`;
+        const resolutionText = {
+            pessimistic: '同一K线触及TP/SL，按悲观规则',
+            optimistic: '同一K线触及TP/SL，按乐观规则',
+            finer: '细分K线判定'
+        }[trade.resolvedBy];
+        
+        const resultText = (exitType === 'manual' ?
+            `手动平仓，${pnl >= 0 ? '盈利' : '亏损'} $${Math.abs(pnl).toFixed(2)}` :
+            exitType === 'trail' ?
+            `移动止损离场，${pnl >= 0 ? '盈利' : '亏损'} $${Math.abs(pnl).toFixed(2)}` :
+            result === 'win' ? 
+            `${tpLevel === 2 ? '第二止盈' : '第一止盈'}达成${exitType === 'breakeven' ? '，剩余仓位保本离场' : ''}，盈利 $${pnl.toFixed(2)}` :
+            `止损触发，亏损 $${Math.abs(pnl).toFixed(2)}`) +
+            (resolutionText ? `（${resolutionText}）` : '');
         
         this.updateTradeStatus('已完成', resultText);
         
@@ -647,7 +1686,175 @@ class AutoTradingSystem {
         // 开始冷却时间
         this.startCooldownPeriod();
         
-        console.log(`🎯 交易完成: ${result}, PnL: $${pnl.toFixed(2)}`);
+        console.log(`🎯 交易完成: ${result}, PnL: $${pnl.toFixed(2)} (毛利 $${trade.grossPnl}, 手续费 $${trade.fees}, 滑点 $${trade.slippage}, 资金费 $${trade.funding})`);
+    }
+    
+    // 按当前价手动平掉活跃交易的剩余仓位（市价，按taker计费并计滑点），返回被平掉的交易
+    closeActiveTrade() {
+        const trade = this.state.activeTrade;
+        if (!trade || !this.state.currentPrice) return null;
+        
+        this.completeTrade('manual', 0, this.state.currentPrice);
+        return trade;
+    }
+    
+    // ==================== 模拟账户 ====================
+    
+    createAccount(balance = this.config.accountBalance) {
+        return {
+            initialBalance: balance,
+            balance,                   // 现金余额（含已实现盈亏和出入金）
+            realizedPnL: 0,
+            deposits: 0,
+            withdrawals: 0,
+            ledger: [{                 // 资金流水，最新在前
+                time: new Date(this.now()).toISOString(),
+                type: 'initial',
+                amount: balance,
+                balance,
+                note: '初始资金'
+            }]
+        };
+    }
+    
+    // 资金流水最多保留200条
+    recordLedger(type, amount, note = '') {
+        const account = this.state.account;
+        
+        account.ledger = [{
+            time: new Date(this.now()).toISOString(),
+            type,
+            amount: parseFloat(amount.toFixed(4)),
+            balance: parseFloat(account.balance.toFixed(4)),
+            note
+        }, ...(account.ledger || [])].slice(0, 200);
+    }
+    
+    // 未平仓部分的市值和浮动盈亏
+    getOpenPosition() {
+        const trade = this.state.activeTrade;
+        const price = this.state.currentPrice;
+        if (!trade || !price) return { cost: 0, value: 0, unrealizedPnL: 0 };
+        
+        const entry = parseFloat(trade.price);
+        const cost = parseFloat(trade.positionSize) * (trade.remaining ?? 1);
+        const direction = trade.action === 'BUY' ? 1 : -1;
+        
+        return {
+            cost,
+            value: cost * price / entry,
+            unrealizedPnL: (price - entry) * direction * cost / entry
+        };
+    }
+    
+    getEquity() {
+        return this.state.account.balance + this.getOpenPosition().unrealizedPnL;
+    }
+    
+    getAccountSummary() {
+        const account = this.state.account;
+        const position = this.getOpenPosition();
+        
+        return {
+            ...account,
+            positionValue: position.value,
+            unrealizedPnL: position.unrealizedPnL,
+            equity: account.balance + position.unrealizedPnL
+        };
+    }
+    
+    deposit(amount) {
+        const value = parseFloat(amount);
+        if (!(value > 0)) throw new Error(`无效的入金金额: ${amount}`);
+        
+        const account = this.state.account;
+        account.balance += value;
+        account.deposits += value;
+        this.recordLedger('deposit', value, '入金');
+        
+        console.log(`💰 入金 $${value.toFixed(2)}，余额 $${account.balance.toFixed(2)}`);
+        this.onAccountChanged();
+    }
+    
+    // 持仓占用的资金不可提取
+    withdraw(amount) {
+        const value = parseFloat(amount);
+        if (!(value > 0)) throw new Error(`无效的出金金额: ${amount}`);
+        
+        const account = this.state.account;
+        const available = account.balance - this.getOpenPosition().cost;
+        if (value > available) {
+            throw new Error(`可用余额不足: $${Math.max(0, available).toFixed(2)}`);
+        }
+        
+        account.balance -= value;
+        account.withdrawals += value;
+        this.recordLedger('withdraw', -value, '出金');
+        
+        console.log(`💸 出金 $${value.toFixed(2)}，余额 $${account.balance.toFixed(2)}`);
+        this.onAccountChanged();
+    }
+    
+    resetAccount() {
+        this.state.account = this.createAccount();
+        this.onAccountChanged();
+        console.log(`🔄 模拟账户已重置: $${this.config.accountBalance}`);
+    }
+    
+    onAccountChanged() {
+        this.updateAccountDisplay();
+        this.saveData();
+    }
+    
+    // 出入金：服务端引擎模式下由服务端执行
+    async changeBalance(type, amount) {
+        if (this.state.isRemote) {
+            const snapshot = await this.requestEngineAction(type, { amount });
+            this.showStatus(snapshot ? `${type === 'deposit' ? '入金' : '出金'}成功` : '操作失败，请检查金额', 
+                snapshot ? 'success' : 'error');
+            return;
+        }
+        
+        try {
+            this[type](amount);
+            this.showStatus(`${type === 'deposit' ? '入金' : '出金'}成功`, 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+    
+    // ==================== 绩效分析 ====================
+    
+    // 平仓后记录精简交易，R倍数按初始止损计算，收益率按开仓前账户余额计算
+    logClosedTrade(trade, pnl) {
+        const entryLog = this.buildLogEntry(trade, pnl, this.state.account.balance - pnl);
+        this.state.tradeLog = [...(this.state.tradeLog || []), entryLog];
+        return entryLog;
+    }
+    
+    buildLogEntry(trade, pnl, equityBefore) {
+        const entry = parseFloat(trade.price);
+        const initialSl = parseFloat(trade.initialSl || trade.sl);
+        
+        return {
+            id: trade.id,
+            symbol: trade.symbol,
+            action: trade.action,
+            strategy: trade.strategy,
+            entryTime: trade.timestamp,
+            exitTime: trade.completedAt,
+            price: entry,
+            exitPrice: parseFloat(trade.exitPrice),
+            pnl: parseFloat(pnl.toFixed(4)),
+            fees: parseFloat(trade.fees || 0),
+            riskAmount: parseFloat(trade.positionSize) * Math.abs(entry - initialSl) / entry,
+            equityBefore,
+            result: trade.result
+        };
+    }
+    
+    getAnalytics() {
+        return analytics.computeAnalytics(this.state.tradeLog || [], this.state.account.initialBalance);
     }
     
     // ==================== UI更新方法 ====================
@@ -655,6 +1862,13 @@ class AutoTradingSystem {
     initUI() {
         // 初始化图表
         this.initChart();
+        this.initEquityChart();
+        
+        // 交易对与策略选择器
+        this.renderSymbolSelector();
+        this.renderStrategySelector();
+        this.renderIndicatorSelector();
+        this.renderHistoryFilters();
         
         // 更新所有显示
         this.updateAllDisplays();
@@ -674,6 +1888,11 @@ class AutoTradingSystem {
         
         // 添加到价格历史
         this.addPriceToHistory(price);
+        
+        // 持仓中净值随价格变化
+        if (this.state.activeTrade) {
+            this.updateAccountDisplay();
+        }
     }
     
     updatePriceDisplay(price) {
@@ -688,7 +1907,7 @@ class AutoTradingSystem {
         }
         
         if (timeElement) {
-            timeElement.textContent = new Date().toLocaleTimeString('zh-CN');
+            timeElement.textContent = new Date(this.now()).toLocaleTimeString('zh-CN');
         }
     }
     
@@ -763,6 +1982,134 @@ class AutoTradingSystem {
         if (srElement) {
             srElement.textContent = `${pricePosition.toFixed(1)}%`;
         }
+        
+        // 高周期趋势
+        const htfElement = document.getElementById('higherTrends');
+        if (htfElement) {
+            const higherTrends = this.state.indicators.higherTrends || {};
+            const icons = { bullish: '📈', bearish: '📉', neutral: '➖' };
+            const timeframes = Object.keys(higherTrends);
+            
+            htfElement.textContent = timeframes.length > 0 ?
+                timeframes.map(tf => `${tf} ${icons[higherTrends[tf]]}`).join('  ') :
+                '--';
+        }
+        
+        this.updateExtraIndicatorsDisplay();
+        
+        // 同步观察列表
+        this.renderWatchlist();
+    }
+    
+    // 可在面板中显示的扩展指标
+    getIndicatorOptions() {
+        return [
+            { id: 'ema', name: 'EMA' },
+            { id: 'macd', name: 'MACD' },
+            { id: 'bollinger', name: '布林带' },
+            { id: 'stochastic', name: '随机指标' },
+            { id: 'adx', name: 'ADX' },
+            { id: 'vwap', name: 'VWAP' },
+            { id: 'volume', name: '成交量' }
+        ];
+    }
+    
+    // 扩展指标的显示值、说明和颜色（数据不足时返回null）
+    describeIndicator(id) {
+        const indicators = this.state.indicators;
+        const price = this.state.currentPrice;
+        const fmt = value => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+        
+        switch (id) {
+            case 'ema': {
+                const { fast, slow } = indicators.ema || {};
+                if (fast == null || slow == null) return null;
+                return {
+                    value: `${fmt(fast)} / ${fmt(slow)}`,
+                    note: fast > slow ? '快线在上' : '快线在下',
+                    color: fast > slow ? 'text-green-400' : 'text-red-400'
+                };
+            }
+            case 'macd': {
+                const macd = indicators.macd;
+                if (!macd) return null;
+                return {
+                    value: macd.histogram.toFixed(2),
+                    note: `DIF ${macd.macd.toFixed(2)} DEA ${macd.signal.toFixed(2)}`,
+                    color: macd.histogram >= 0 ? 'text-green-400' : 'text-red-400'
+                };
+            }
+            case 'bollinger': {
+                const bb = indicators.bollinger;
+                if (!bb) return null;
+                return {
+                    value: `${(bb.percentB * 100).toFixed(0)}%B`,
+                    note: `${fmt(bb.lower)} - ${fmt(bb.upper)}`,
+                    color: bb.percentB > 1 ? 'text-red-400' : bb.percentB < 0 ? 'text-green-400' : 'text-yellow-400'
+                };
+            }
+            case 'stochastic': {
+                const stoch = indicators.stochastic;
+                if (!stoch) return null;
+                return {
+                    value: `${stoch.k.toFixed(1)} / ${stoch.d.toFixed(1)}`,
+                    note: stoch.k > 80 ? '超买' : stoch.k < 20 ? '超卖' : '中性',
+                    color: stoch.k > 80 ? 'text-red-400' : stoch.k < 20 ? 'text-green-400' : 'text-yellow-400'
+                };
+            }
+            case 'adx': {
+                const adx = indicators.adx;
+                if (!adx || adx.adx === null) return null;
+                return {
+                    value: adx.adx.toFixed(1),
+                    note: `${adx.adx >= 25 ? '趋势' : '震荡'} +DI ${adx.plusDI.toFixed(1)} -DI ${adx.minusDI.toFixed(1)}`,
+                    color: adx.adx >= 25 ? (adx.plusDI >= adx.minusDI ? 'text-green-400' : 'text-red-400') : 'text-yellow-400'
+                };
+            }
+            case 'vwap': {
+                if (!indicators.vwap) return null;
+                return {
+                    value: fmt(indicators.vwap),
+                    note: price >= indicators.vwap ? '价格在VWAP上方' : '价格在VWAP下方',
+                    color: price >= indicators.vwap ? 'text-green-400' : 'text-red-400'
+                };
+            }
+            case 'volume': {
+                const volume = indicators.volume;
+                if (!volume || volume.relative === null) return null;
+                const trendIcons = { rising: '↑', falling: '↓', flat: '→' };
+                const levels = [
+                    volume.support ? `支撑 ${fmt(volume.support)}` : null,
+                    volume.resistance ? `阻力 ${fmt(volume.resistance)}` : null
+                ].filter(Boolean).join(' ');
+                return {
+                    value: `${volume.relative.toFixed(2)}x`,
+                    note: `OBV${trendIcons[volume.obvTrend]} ${levels}`,
+                    color: volume.relative < this.config.minRelativeVolume ? 'text-gray-400' :
+                        volume.relative >= this.config.highRelativeVolume ? 'text-blue-400' : 'text-yellow-400'
+                };
+            }
+            default:
+                return null;
+        }
+    }
+    
+    updateExtraIndicatorsDisplay() {
+        const container = document.getElementById('extraIndicators');
+        if (!container) return;
+        
+        const options = this.getIndicatorOptions().filter(option => this.config.displayIndicators.includes(option.id));
+        
+        container.innerHTML = options.map(option => {
+            const info = this.describeIndicator(option.id);
+            return `
+                <div class="bg-gray-800 rounded-lg p-3">
+                    <div class="text-xs text-gray-400">${option.name}</div>
+                    <div class="text-lg font-bold ${info ? info.color : 'text-gray-500'}">${info ? info.value : '--'}</div>
+                    <div class="text-xs text-gray-500 mt-1">${info ? info.note : '数据不足'}</div>
+                </div>
+            `;
+        }).join('');
     }
     
     displaySignal(signal) {
@@ -825,7 +2172,12 @@ class AutoTradingSystem {
         };
         
         if (elements.entry) elements.entry.textContent = `$${signal.price}`;
-        if (elements.position) elements.position.textContent = `${signal.positionSize} USDT`;
+        if (elements.position) {
+            const remaining = signal.remaining ?? 1;
+            elements.position.textContent = remaining < 1 && remaining > 0 ?
+                `${signal.positionSize} USDT（剩余${(remaining * 100).toFixed(0)}%）` :
+                `${signal.positionSize} USDT`;
+        }
         if (elements.tp1) elements.tp1.textContent = `$${signal.tp1}`;
         if (elements.tp2) elements.tp2.textContent = `$${signal.tp2}`;
         if (elements.sl) elements.sl.textContent = `$${signal.sl}`;
@@ -854,13 +2206,30 @@ class AutoTradingSystem {
             distanceSL = ((currentPrice - entry) / entry * 100).toFixed(2);
         }
         
+        // 进度条以初始止损为起点、当前目标（TP1，部分止盈后为TP2）为终点
+        const initialSl = parseFloat(trade.initialSl || trade.sl);
+        const target = this.isTp1Filled(trade) ? parseFloat(trade.tp2) : tp1;
+        const totalRange = Math.abs(target - initialSl);
+        const toPercent = price => Math.min(Math.max(Math.abs(price - initialSl) / totalRange * 100, 0), 100);
+        
         // 更新进度条
         const progressElement = document.getElementById('priceProgress');
         if (progressElement) {
-            const totalRange = Math.abs(tp1 - sl);
-            const currentPosition = Math.abs(currentPrice - sl);
-            const progress = (currentPosition / totalRange * 100);
-            progressElement.style.width = `${Math.min(Math.max(progress, 0), 100)}%`;
+            progressElement.style.width = `${toPercent(currentPrice)}%`;
+        }
+        
+        // 当前止损位置（保本/移动止损后会向目标方向移动）
+        const stopMarker = document.getElementById('stopMarker');
+        if (stopMarker) {
+            stopMarker.style.left = `${toPercent(sl)}%`;
+            stopMarker.title = `当前止损 $${trade.sl}`;
+        }
+        
+        const currentStopElement = document.getElementById('currentStop');
+        if (currentStopElement) {
+            const adjustments = (trade.stopAdjustments || []).length;
+            currentStopElement.textContent = adjustments > 0 ?
+                `$${trade.sl}（已调整${adjustments}次）` : `$${trade.sl}`;
         }
     }
     
@@ -887,8 +2256,16 @@ class AutoTradingSystem {
     }
     
     updateStats(result, pnl) {
-        const stats = this.state.stats;
+        this.applyTradeToStats(this.state.stats, result, pnl);
         
+        // 总盈亏在每笔成交时已计入（见 recordFill）
+        
+        // 更新显示
+        this.updateStatsDisplay();
+    }
+    
+    // 一笔完成交易计入胜率、连胜、最大/平均盈亏（不含总盈亏）
+    applyTradeToStats(stats, result, pnl) {
         stats.totalTrades++;
         
         if (result === 'win') {
@@ -920,11 +2297,6 @@ class AutoTradingSystem {
                 ((stats.avgLoss * lossCount) + pnl) / (stats.totalTrades - stats.winningTrades) : 
                 pnl;
         }
-        
-        stats.totalPnL += pnl;
-        
-        // 更新显示
-        this.updateStatsDisplay();
     }
     
     updateStatsDisplay() {
@@ -953,6 +2325,80 @@ class AutoTradingSystem {
                 'text-lg font-bold text-green-400' : 
                 'text-lg font-bold text-red-400';
         }
+        
+        // 毛利与交易成本明细
+        const grossPnLElement = document.getElementById('grossPnL');
+        const totalCostsElement = document.getElementById('totalCosts');
+        
+        if (grossPnLElement) {
+            grossPnLElement.textContent = `$${(stats.grossPnL || 0).toFixed(2)}`;
+        }
+        
+        if (totalCostsElement) {
+            totalCostsElement.textContent = `手续费 $${(stats.totalFees || 0).toFixed(2)} | ` +
+                `滑点 $${(stats.totalSlippage || 0).toFixed(2)} | 资金费 $${(stats.totalFunding || 0).toFixed(2)}`;
+        }
+        
+        this.updateAccountDisplay();
+        this.updateAnalyticsDisplay();
+    }
+    
+    updateAnalyticsDisplay() {
+        const result = this.getAnalytics();
+        const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+        const side = stats => stats.trades > 0 ? 
+            `${stats.trades}笔 · 胜率${(stats.winRate * 100).toFixed(0)}% · ${money(stats.totalPnL)}` : '-';
+        
+        const values = {
+            maxDrawdown: `${money(-result.maxDrawdown)} (${(result.maxDrawdownPercent * 100).toFixed(1)}%)`,
+            drawdownDuration: `${this.formatDuration(result.maxDrawdownDuration)} / ${result.maxDrawdownTrades}笔`,
+            sharpeRatio: result.sharpe.toFixed(2),
+            sortinoRatio: result.sortino.toFixed(2),
+            profitFactor: result.profitFactor === null ? '∞' : result.profitFactor.toFixed(2),
+            expectancy: money(result.expectancy),
+            avgR: `${result.avgR.toFixed(2)}R`,
+            longStats: side(result.long),
+            shortStats: side(result.short)
+        };
+        
+        Object.entries(values).forEach(([id, text]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        });
+        
+        this.updateEquityChart(result.equityCurve);
+    }
+    
+    formatDuration(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 60) return `${minutes}分钟`;
+        if (minutes < 1440) return `${Math.floor(minutes / 60)}小时${minutes % 60}分`;
+        return `${Math.floor(minutes / 1440)}天${Math.floor((minutes % 1440) / 60)}小时`;
+    }
+    
+    updateAccountDisplay() {
+        const summary = this.getAccountSummary();
+        const elements = {
+            accountEquity: summary.equity,
+            accountBalance: summary.balance,
+            accountPositionValue: summary.positionValue,
+            accountUnrealizedPnL: summary.unrealizedPnL,
+            accountRealizedPnL: summary.realizedPnL
+        };
+        
+        Object.entries(elements).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = `$${value.toFixed(2)}`;
+            }
+        });
+        
+        const equityElement = document.getElementById('accountEquity');
+        if (equityElement) {
+            equityElement.className = summary.equity >= summary.initialBalance + summary.deposits - summary.withdrawals ? 
+                'text-lg font-bold text-green-400' : 
+                'text-lg font-bold text-red-400';
+        }
     }
     
     updateCooldownDisplay() {
@@ -965,7 +2411,7 @@ class AutoTradingSystem {
             return;
         }
         
-        const remaining = this.state.cooldownEnd - new Date();
+        const remaining = this.state.cooldownEnd - this.now();
         const seconds = Math.floor(remaining / 1000);
         const minutes = Math.floor(seconds / 60);
         const secs = seconds % 60;
@@ -1023,81 +2469,372 @@ class AutoTradingSystem {
     }
     
     updateHistoryDisplay() {
+        // 最近的交易写入历史库，再按当前筛选条件渲染
+        this.persistHistory(this.state.signalHistory).then(() => this.renderHistoryPage());
+        
+        // 交易开仓/离场后刷新K线图上的水平线和标记
+        this.updateChart();
+    }
+    
+    // 只写入有变化的记录（旧记录没有交易对标记）
+    persistHistory(trades) {
+        const changed = trades
+            .map(trade => ({ ...trade, symbol: trade.symbol || this.config.symbol }))
+            .filter(trade => this.persistedHistory.get(trade.id) !== JSON.stringify(trade));
+        
+        return historyDb.save(changed)
+            .then(() => changed.forEach(trade => this.persistedHistory.set(trade.id, JSON.stringify(trade))))
+            .catch(error => console.error('保存交易历史失败:', error));
+    }
+    
+    // 日期筛选按本地时间的整天计算
+    getHistoryQuery() {
+        const { from, to } = this.historyQuery;
+        return {
+            ...this.historyQuery,
+            from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+            to: to ? new Date(`${to}T23:59:59.999`).toISOString() : ''
+        };
+    }
+    
+    async renderHistoryPage() {
         const tbody = document.getElementById('historyTable');
         const countElement = document.getElementById('historyCount');
         
         if (!tbody) return;
         
-        if (this.state.signalHistory.length === 0) {
+        const renderId = ++this.historyRenderId;
+        let result;
+        
+        try {
+            result = await historyDb.query(this.config.symbol, this.getHistoryQuery());
+        } catch (error) {
+            // 历史库不可用时只显示最近的记录
+            console.error('查询交易历史失败:', error);
+            result = historyDb.filter(this.state.signalHistory, this.historyQuery);
+        }
+        
+        // 先发起的查询后返回时丢弃
+        if (renderId !== this.historyRenderId) return;
+        
+        this.historyQuery.page = result.page;
+        if (countElement) countElement.textContent = result.total;
+        
+        this.renderHistoryHeader();
+        this.renderHistoryPagination(result);
+        
+        if (result.total === 0) {
+            const filtered = ['from', 'to', 'side', 'outcome', 'strategy'].some(key => this.historyQuery[key]);
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="5" class="py-4 text-center text-gray-500">暂无交易历史</td>
+                    <td colspan="6" class="py-4 text-center text-gray-500">${filtered ? '没有符合条件的交易' : '暂无交易历史'}</td>
                 </tr>
             `;
-            if (countElement) countElement.textContent = '0';
             return;
         }
         
-        tbody.innerHTML = this.state.signalHistory.map(signal => {
-            const time = new Date(signal.timestamp).toLocaleTimeString('zh-CN', {
-                hour: '2-digit',
-                minute: '2-digit'
-            });
-            
-            const actionClass = signal.action === 'BUY' ? 'text-green-400' : 
-                              signal.action === 'SELL' ? 'text-red-400' : 'text-gray-400';
-            
-            const actionIcon = signal.action === 'BUY' ? '📈' : 
-                             signal.action === 'SELL' ? '📉' : '⏸️';
-            
-            let statusClass = 'text-gray-400';
-            let statusText = '等待';
-            
-            if (signal.status === 'hit_tp1' || signal.status === 'hit_tp2') {
-                statusClass = 'text-green-400';
-                statusText = signal.status === 'hit_tp1' ? 'TP1' : 'TP2';
-            } else if (signal.status === 'hit_sl') {
-                statusClass = 'text-red-400';
-                statusText = 'SL';
-            } else if (signal.status === 'active') {
-                statusClass = 'text-yellow-400';
-                statusText = '进行中';
-            }
-            
-            let resultClass = 'text-gray-400';
-            let resultText = '-';
-            
-            if (signal.result === 'win') {
-                resultClass = 'text-green-400 font-bold';
-                resultText = `+$${signal.pnl || '0.00'}`;
-            } else if (signal.result === 'loss') {
-                resultClass = 'text-red-400';
-                resultText = `-$${Math.abs(signal.pnl || '0').toFixed(2)}`;
-            }
-            
-            return `
-                <tr class="border-b border-gray-700 hover:bg-gray-700/30">
-                    <td class="py-2">${time}</td>
-                    <td class="py-2">
-                        <span class="${actionClass} font-bold">
-                            ${actionIcon} ${signal.action}
-                        </span>
-                    </td>
-                    <td class="py-2">$${signal.price}</td>
-                    <td class="py-2">
-                        <div class="text-green-400 text-xs">TP: $${signal.tp1}</div>
-                        <div class="text-red-400 text-xs">SL: $${signal.sl}</div>
-                    </td>
-                    <td class="py-2">
-                        <span class="${resultClass} font-semibold">${resultText}</span>
-                    </td>
-                </tr>
-            `;
+        tbody.innerHTML = result.trades.map(signal => this.renderHistoryRow(signal)).join('');
+    }
+    
+    // 交易记录可能来自导入文件，拼进 innerHTML 前转义
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+    
+    renderHistoryRow(signal) {
+        const esc = value => this.escapeHtml(value);
+        const time = new Date(signal.timestamp).toLocaleString('zh-CN', {
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        
+        const actionClass = signal.action === 'BUY' ? 'text-green-400' : 
+                          signal.action === 'SELL' ? 'text-red-400' : 'text-gray-400';
+        
+        const actionIcon = signal.action === 'BUY' ? '📈' : 
+                         signal.action === 'SELL' ? '📉' : '⏸️';
+        
+        // 旧记录没有策略标记
+        const strategyName = !signal.strategy ? '' :
+            strategies.has(signal.strategy) ? strategies.get(signal.strategy).name : signal.strategy;
+        
+        let statusClass = 'text-gray-400';
+        let statusText = '等待';
+        
+        if (signal.status === 'hit_tp1' || signal.status === 'hit_tp2') {
+            statusClass = 'text-green-400';
+            statusText = signal.status === 'hit_tp1' ? 'TP1' : 'TP2';
+        } else if (signal.status === 'hit_sl') {
+            statusClass = 'text-red-400';
+            statusText = 'SL';
+        } else if (signal.status === 'hit_trail') {
+            statusClass = signal.result === 'win' ? 'text-green-400' : 'text-red-400';
+            statusText = '移动止损';
+        } else if (signal.status === 'closed_manual') {
+            statusClass = signal.result === 'win' ? 'text-green-400' : 'text-red-400';
+            statusText = '手动平仓';
+        } else if (signal.status === 'active') {
+            statusClass = 'text-yellow-400';
+            statusText = '进行中';
+        } else if (signal.status === 'imported_open') {
+            statusText = '未结束（导入）';
+        }
+        
+        let resultClass = 'text-gray-400';
+        let resultText = '-';
+        
+        if (signal.result === 'win') {
+            resultClass = 'text-green-400 font-bold';
+            resultText = `+$${this.escapeHtml(signal.pnl || '0.00')}`;
+        } else if (signal.result === 'loss') {
+            resultClass = 'text-red-400';
+            resultText = `-$${Math.abs(signal.pnl || '0').toFixed(2)}`;
+        }
+        
+        // 分批成交明细（只有一笔全部平仓时不显示）
+        const fills = signal.fills || [];
+        const fillLabels = { tp1: 'TP1', tp2: 'TP2', sl: 'SL', breakeven: '保本', trail: '移动止损', manual: '手动' };
+        const fillsHtml = fills.length > 1 || (fills.length === 1 && !signal.result) ?
+            fills.map(fill => `
+                <div class="text-xs ${parseFloat(fill.pnl) >= 0 ? 'text-green-400' : 'text-red-400'}">
+                    ${esc(fillLabels[fill.type] || fill.type)} ${(fill.fraction * 100).toFixed(0)}% @ $${esc(fill.price)}: ${parseFloat(fill.pnl) >= 0 ? '+' : '-'}$${Math.abs(fill.pnl).toFixed(2)}
+                </div>
+            `).join('') : '';
+        
+        // 交易所执行情况（服务端启用下单时）
+        const execution = signal.execution;
+        const executionLabels = { submitting: '下单中', live: '已下单', partially_filled: '部分成交', filled: '已成交', closed: '已平仓', rejected: '被拒绝', canceled: '已撤销', skipped: '已跳过' };
+        const executionHtml = !execution ? '' : `
+            <div class="text-xs ${['rejected', 'skipped'].includes(execution.state) ? 'text-red-400' : 'text-blue-400'}" title="${execution.error || ''}">
+                ${execution.mode === 'demo' ? '模拟盘' : '实盘'} ${executionLabels[execution.state] || execution.state}${execution.avgPx ? ` @ $${parseFloat(execution.avgPx).toFixed(2)}` : ''}${execution.realizedPnl ? ` · 实际 $${parseFloat(execution.realizedPnl).toFixed(2)}` : ''}
+            </div>
+        `;
+        
+        return `
+            <tr class="border-b border-gray-700 hover:bg-gray-700/30 cursor-pointer" onclick="showTradeDetail('${esc(signal.id)}')">
+                <td class="py-2">${time}</td>
+                <td class="py-2">
+                    <span class="${actionClass} font-bold">
+                        ${actionIcon} ${signal.action}
+                    </span>
+                    ${strategyName ? `<div class="text-gray-500 text-xs">${esc(strategyName)}</div>` : ''}
+                    ${executionHtml}
+                </td>
+                <td class="py-2">$${esc(signal.price)}</td>
+                <td class="py-2">
+                    <div class="text-green-400 text-xs">TP: $${esc(signal.tp1)}</div>
+                    <div class="text-red-400 text-xs">SL: $${esc(signal.sl)}</div>
+                </td>
+                <td class="py-2 ${statusClass}">${statusText}</td>
+                <td class="py-2">
+                    <span class="${resultClass} font-semibold">${resultText}</span>
+                    ${signal.fees !== undefined && signal.result ? `<div class="text-gray-500 text-xs">毛利 $${esc(signal.grossPnl)} · 成本 $${(parseFloat(signal.fees) + parseFloat(signal.slippage) + parseFloat(signal.funding)).toFixed(2)}</div>` : ''}
+                    ${fillsHtml}
+                </td>
+            </tr>
+        `;
+    }
+    
+    // 筛选栏：日期范围、方向、结果、策略
+    renderHistoryFilters() {
+        const container = document.getElementById('historyFilters');
+        if (!container) return;
+        
+        const { from, to, side, outcome, strategy } = this.historyQuery;
+        const outcomeLabels = { tp1: 'TP1', tp2: 'TP2', sl: 'SL', trail: '移动止损', manual: '手动平仓', active: '进行中' };
+        const option = (value, label, selected) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+        const selectClass = 'bg-gray-700 text-gray-200 text-xs rounded px-2 py-1';
+        
+        container.innerHTML = `
+            <input type="date" class="${selectClass}" value="${from}" onchange="setHistoryFilter('from', this.value)">
+            <span class="text-gray-500 text-xs">至</span>
+            <input type="date" class="${selectClass}" value="${to}" onchange="setHistoryFilter('to', this.value)">
+            <select class="${selectClass}" onchange="setHistoryFilter('side', this.value)">
+                ${option('', '全部方向', side)}${option('BUY', '买入', side)}${option('SELL', '卖出', side)}
+            </select>
+            <select class="${selectClass}" onchange="setHistoryFilter('outcome', this.value)">
+                ${option('', '全部结果', outcome)}${historyDb.outcomes.map(id => option(id, outcomeLabels[id] || id, outcome)).join('')}
+            </select>
+            <select class="${selectClass}" onchange="setHistoryFilter('strategy', this.value)">
+                ${option('', '全部策略', strategy)}${strategies.list().map(item => option(item.id, item.name, strategy)).join('')}
+            </select>
+            ${this.config.storeUrl ? `<button class="${selectClass} hover:bg-gray-600" onclick="importStoreHistory()">从服务器导入</button>` : ''}
+        `;
+    }
+    
+    // 表头，点击排序（再次点击切换升序/降序）
+    renderHistoryHeader() {
+        const header = document.getElementById('historyHeader');
+        if (!header) return;
+        
+        const columns = [
+            { key: 'timestamp', label: '时间' },
+            { key: 'action', label: '方向' },
+            { key: 'price', label: '价格' },
+            { key: 'tp', label: 'TP/SL' },
+            { key: 'status', label: '状态' },
+            { key: 'pnl', label: '盈亏' }
+        ];
+        const { sortBy, sortDir } = this.historyQuery;
+        
+        header.innerHTML = columns.map(column => {
+            if (!column.key) return `<th class="py-2 text-left">${column.label}</th>`;
+            const arrow = column.key === sortBy ? (sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+            return `<th class="py-2 text-left cursor-pointer hover:text-white" onclick="sortHistory('${column.key}')">${column.label}${arrow}</th>`;
         }).join('');
+    }
+    
+    renderHistoryPagination(result) {
+        const container = document.getElementById('historyPagination');
+        if (!container) return;
+        
+        const buttonClass = enabled => `px-2 py-1 text-xs rounded ${enabled ? 'bg-gray-700 text-gray-200 hover:bg-gray-600' : 'bg-gray-800 text-gray-600 cursor-not-allowed'}`;
+        
+        container.innerHTML = `
+            <button class="${buttonClass(result.page > 1)}" ${result.page > 1 ? '' : 'disabled'} onclick="changeHistoryPage(-1)">上一页</button>
+            <span class="text-xs text-gray-400 mx-2">第 ${result.page} / ${result.pages} 页，共 ${result.total} 笔</span>
+            <button class="${buttonClass(result.page < result.pages)}" ${result.page < result.pages ? '' : 'disabled'} onclick="changeHistoryPage(1)">下一页</button>
+        `;
+    }
+    
+    setHistoryFilter(key, value) {
+        this.historyQuery[key] = value;
+        this.historyQuery.page = 1;
+        this.renderHistoryPage();
+    }
+    
+    sortHistory(column) {
+        if (!historyDb.sortKeys.includes(column)) return;
+        
+        const { sortBy, sortDir } = this.historyQuery;
+        this.historyQuery.sortDir = column === sortBy && sortDir === 'desc' ? 'asc' : 'desc';
+        this.historyQuery.sortBy = column;
+        this.historyQuery.page = 1;
+        this.renderHistoryPage();
+    }
+    
+    changeHistoryPage(delta) {
+        this.historyQuery.page = Math.max(1, this.historyQuery.page + delta);
+        this.renderHistoryPage();
+    }
+    
+    // 开仓时的指标快照（历史详情中显示）
+    captureIndicators() {
+        const { rsi, trend, volatility, pricePosition, support, resistance, atr, macd, bollinger, stochastic, adx, vwap, volume, higherTrends } = this.state.indicators;
+        const round = value => typeof value === 'number' ? parseFloat(value.toFixed(4)) : null;
         
-        if (countElement) {
-            countElement.textContent = this.state.signalHistory.length;
+        return {
+            rsi: round(rsi),
+            trend,
+            volatility: round(volatility),
+            pricePosition: round(pricePosition),
+            support: round(support),
+            resistance: round(resistance),
+            atr: round(atr),
+            macdHistogram: macd ? round(macd.histogram) : null,
+            bollingerPercentB: bollinger ? round(bollinger.percentB) : null,
+            stochasticK: stochastic ? round(stochastic.k) : null,
+            adx: adx ? round(adx.adx) : null,
+            vwap: round(vwap),
+            relativeVolume: volume ? round(volume.relative) : null,
+            obvTrend: volume ? volume.obvTrend : null,
+            higherTrends: { ...higherTrends }
+        };
+    }
+    
+    // 交易详情抽屉：完整分析原因、开仓时指标、离场信息
+    async showTradeDetail(id) {
+        const drawer = document.getElementById('tradeDetail');
+        if (!drawer) return;
+        
+        let trade = this.state.signalHistory.find(item => item.id === id) || null;
+        if (!trade) {
+            try {
+                trade = await historyDb.get(id);
+            } catch (error) {
+                console.error('读取交易详情失败:', error);
+            }
         }
+        if (!trade) return;
+        
+        const row = (label, value) => value === null || value === undefined || value === '' ? '' : `
+            <div class="flex justify-between py-1 border-b border-gray-700/50">
+                <span class="text-gray-400">${label}</span>
+                <span class="text-gray-200 text-right">${this.escapeHtml(value)}</span>
+            </div>
+        `;
+        const section = (title, content) => content.trim() ? `
+            <div class="mt-4">
+                <div class="text-sm font-semibold text-gray-300 mb-1">${title}</div>
+                ${content}
+            </div>
+        ` : '';
+        const formatTime = time => time ? new Date(time).toLocaleString('zh-CN') : null;
+        
+        const indicatorLabels = {
+            rsi: 'RSI', trend: '趋势', volatility: '波动率(%)', pricePosition: '区间位置(%)',
+            support: '支撑', resistance: '阻力', atr: 'ATR', macdHistogram: 'MACD柱',
+            bollingerPercentB: '布林 %B', stochasticK: '随机 %K', adx: 'ADX', vwap: 'VWAP',
+            relativeVolume: '量比', obvTrend: 'OBV趋势'
+        };
+        const indicators = trade.entryIndicators || { rsi: trade.rsi };
+        const higherTrends = indicators.higherTrends || {};
+        
+        const fillLabels = { tp1: 'TP1', tp2: 'TP2', sl: 'SL', breakeven: '保本', trail: '移动止损', manual: '手动' };
+        const fills = (trade.fills || []).map(fill => row(
+            `${fillLabels[fill.type] || fill.type} ${(fill.fraction * 100).toFixed(0)}% · ${formatTime(fill.time)}`,
+            `$${fill.price} · ${parseFloat(fill.pnl) >= 0 ? '+' : '-'}$${Math.abs(fill.pnl).toFixed(2)}`
+        )).join('');
+        
+        const execution = trade.execution;
+        const strategyName = trade.strategy && strategies.has(trade.strategy) ? strategies.get(trade.strategy).name : trade.strategy;
+        
+        drawer.innerHTML = `
+            <div class="flex justify-between items-center">
+                <div class="text-lg font-bold ${trade.action === 'BUY' ? 'text-green-400' : 'text-red-400'}">
+                    ${this.escapeHtml(trade.action)} ${this.escapeHtml(trade.symbol || this.config.symbol)} @ $${this.escapeHtml(trade.price)}
+                </div>
+                <button class="text-gray-400 hover:text-white" onclick="closeTradeDetail()">✕</button>
+            </div>
+            ${section('信号', `
+                ${row('时间', formatTime(trade.timestamp))}
+                ${row('策略', strategyName)}
+                ${row('置信度', trade.confidence ? `${(parseFloat(trade.confidence) * 100).toFixed(0)}%` : null)}
+                <div class="text-xs text-gray-300 mt-2 whitespace-pre-wrap">${this.escapeHtml(trade.reason)}</div>
+            `)}
+            ${section('开仓参数', `
+                ${row('TP1', `$${trade.tp1}`)}
+                ${row('TP2', `$${trade.tp2}`)}
+                ${row('止损', trade.initialSl && trade.initialSl !== trade.sl ? `$${trade.initialSl} → $${trade.sl}` : `$${trade.sl}`)}
+                ${row('仓位', trade.positionSize ? `$${trade.positionSize} (${trade.positionPercent}%)` : null)}
+                ${row('风险回报比', trade.riskReward)}
+                ${row('止盈止损模式', trade.tpSlMode === 'atr' ? `ATR (${trade.atr})` : trade.tpSlMode ? '固定百分比' : null)}
+            `)}
+            ${section('开仓时指标', `
+                ${Object.entries(indicatorLabels).map(([key, label]) => row(label, indicators[key])).join('')}
+                ${row('高周期', Object.keys(higherTrends).map(tf => `${tf} ${higherTrends[tf]}`).join(' / '))}
+            `)}
+            ${section('离场', `
+                ${row('状态', trade.status)}
+                ${row('离场价格', trade.exitPrice ? `$${trade.exitPrice}` : null)}
+                ${row('离场时间', formatTime(trade.completedAt))}
+                ${row('净盈亏', trade.pnl !== null && trade.pnl !== undefined ? `$${trade.pnl}` : null)}
+                ${row('毛利', trade.grossPnl !== undefined ? `$${trade.grossPnl}` : null)}
+                ${row('手续费 / 滑点 / 资金费', trade.fees !== undefined ? `$${trade.fees} / $${trade.slippage} / $${trade.funding}` : null)}
+                ${fills}
+                ${execution ? row('交易所执行', `${execution.state}${execution.avgPx ? ` @ $${parseFloat(execution.avgPx).toFixed(2)}` : ''}${execution.realizedPnl ? ` · 实际 $${parseFloat(execution.realizedPnl).toFixed(2)}` : ''}`) : ''}
+            `)}
+        `;
+        drawer.classList.remove('hidden');
+    }
+    
+    closeTradeDetail() {
+        const drawer = document.getElementById('tradeDetail');
+        if (drawer) drawer.classList.add('hidden');
     }
     
     updateAllDisplays() {
@@ -1114,9 +2851,140 @@ class AutoTradingSystem {
         }
     }
     
+    resetSignalDisplay() {
+        const signalDisplay = document.getElementById('signalDisplay');
+        const signalType = document.getElementById('signalType');
+        
+        if (signalDisplay) {
+            signalDisplay.className = 'rounded-xl p-6 shadow-lg border-2';
+            signalDisplay.style.borderColor = '';
+        }
+        
+        if (signalType) {
+            signalType.innerHTML = '⏸️ HOLD';
+            signalType.className = 'text-5xl font-bold text-gray-400 mb-4';
+        }
+        
+        ['entryPriceDisplay', 'tp1Display', 'tp2Display', 'slDisplay'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = '$--';
+        });
+    }
+    
+    renderSymbolSelector() {
+        const select = document.getElementById('symbolSelect');
+        if (!select) return;
+        
+        select.innerHTML = this.config.watchlist.map(symbol => 
+            `<option value="${symbol}">${symbol.replace('-', '/')}</option>`
+        ).join('');
+        select.value = this.config.symbol;
+        select.onchange = () => this.selectSymbol(select.value);
+    }
+    
+    renderStrategySelector() {
+        const select = document.getElementById('strategySelect');
+        if (!select) return;
+        
+        select.innerHTML = strategies.list().map(strategy => 
+            `<option value="${strategy.id}" title="${strategy.description}">${strategy.name}</option>`
+        ).join('');
+        select.value = strategies.get(this.config.strategy).id;
+        select.onchange = () => this.selectStrategy(select.value);
+    }
+    
+    renderIndicatorSelector() {
+        const container = document.getElementById('indicatorSelector');
+        if (!container) return;
+        
+        container.innerHTML = this.getIndicatorOptions().map(option => `
+            <label class="inline-flex items-center mr-3 text-xs text-gray-300 cursor-pointer">
+                <input type="checkbox" class="mr-1" ${this.config.displayIndicators.includes(option.id) ? 'checked' : ''}
+                    onchange="toggleIndicator('${option.id}')">
+                ${option.name}
+            </label>
+        `).join('');
+    }
+    
+    // 切换扩展指标的显示（只影响本地面板）
+    toggleIndicator(id) {
+        const selected = this.config.displayIndicators;
+        this.config.displayIndicators = selected.includes(id) ?
+            selected.filter(item => item !== id) : [...selected, id];
+        
+        localStorage.setItem('trading_indicators', JSON.stringify(this.config.displayIndicators));
+        this.saveStoreConfig({ displayIndicators: this.config.displayIndicators });
+        this.renderIndicatorSelector();
+        this.updateExtraIndicatorsDisplay();
+    }
+    
+    getMarketSummary(symbol) {
+        // 本地模式只运行当前交易对
+        const market = this.state.isRemote ? this.markets[symbol] :
+            (symbol === this.config.symbol ? this.state : null);
+        if (!market) return null;
+        
+        const lastSignal = market.signalHistory[0];
+        
+        return {
+            price: market.currentPrice,
+            rsi: market.indicators.rsi,
+            trend: market.indicators.trend,
+            signal: market.activeTrade ? market.activeTrade.action : 
+                (lastSignal && lastSignal.status === 'active' ? lastSignal.action : 'HOLD')
+        };
+    }
+    
+    renderWatchlist() {
+        const grid = document.getElementById('watchlistGrid');
+        if (!grid) return;
+        
+        grid.innerHTML = this.config.watchlist.map(symbol => {
+            const summary = this.getMarketSummary(symbol);
+            const selected = symbol === this.config.symbol;
+            
+            const rsiClass = !summary ? 'text-gray-500' :
+                summary.rsi < this.config.rsiOversold ? 'text-green-400' :
+                summary.rsi > this.config.rsiOverbought ? 'text-red-400' : 'text-yellow-400';
+            
+            const trendText = !summary ? '--' :
+                summary.trend === 'bullish' ? '📈 向上' :
+                summary.trend === 'bearish' ? '📉 向下' : '➖ 中性';
+            
+            const signalClass = !summary ? 'text-gray-500' :
+                summary.signal === 'BUY' ? 'text-green-400' :
+                summary.signal === 'SELL' ? 'text-red-400' : 'text-gray-400';
+            
+            return `
+                <div class="p-3 rounded-lg cursor-pointer ${selected ? 'bg-gray-700 border border-yellow-500' : 'bg-gray-900 hover:bg-gray-700/50'}"
+                     data-symbol="${symbol}">
+                    <div class="flex justify-between items-center">
+                        <span class="font-bold">${symbol.replace('-', '/')}</span>
+                        <span class="${signalClass} text-xs font-bold">${summary ? summary.signal : '--'}</span>
+                    </div>
+                    <div class="text-lg font-bold">${summary && summary.price ? `$${formatNumber(summary.price)}` : '$--'}</div>
+                    <div class="flex justify-between text-xs mt-1">
+                        <span class="${rsiClass}">RSI ${summary ? summary.rsi.toFixed(1) : '--'}</span>
+                        <span class="text-gray-400">${trendText}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        grid.querySelectorAll('[data-symbol]').forEach(element => {
+            element.onclick = () => this.selectSymbol(element.dataset.symbol);
+        });
+    }
+    
     // ==================== 图表相关方法 ====================
     
     initChart() {
+        const container = document.getElementById('candleChart');
+        if (container && typeof LightweightCharts !== 'undefined') {
+            this.initCandleChart(container);
+            return;
+        }
+        
         const ctx = document.getElementById('btcChart');
         if (!ctx) return;
         
@@ -1125,7 +2993,7 @@ class AutoTradingSystem {
             data: {
                 labels: [],
                 datasets: [{
-                    label: 'BTC/USDT 价格',
+                    label: `${this.config.symbol.replace('-', '/')} 价格`,
                     data: [],
                     borderColor: '#10b981',
                     backgroundColor: 'rgba(16, 185, 129, 0.1)',
@@ -1169,29 +3037,356 @@ class AutoTradingSystem {
         });
     }
     
-    addPriceToHistory(price) {
-        const now = new Date();
-        const timeLabel = `${now.getHours()}:${now.getMinutes().toString().padStart(2, '0')}`;
+    // 净值曲线（价格图表旁的面板）
+    initEquityChart() {
+        const ctx = document.getElementById('equityChart');
+        if (!ctx) return;
+        
+        this.equityChart = new Chart(ctx.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: '账户净值',
+                    data: [],
+                    borderColor: '#3b82f6',
+                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0,
+                    pointRadius: 2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#d1d5db'
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: {
+                            color: '#9ca3af'
+                        },
+                        grid: {
+                            color: '#374151'
+                        }
+                    },
+                    y: {
+                        ticks: {
+                            color: '#9ca3af',
+                            callback: function(value) {
+                                return '$' + value.toLocaleString();
+                            }
+                        },
+                        grid: {
+                            color: '#374151'
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
+    updateEquityChart(curve) {
+        if (!this.equityChart) return;
+        
+        this.equityChart.data.labels = curve.map((point, index) => index === 0 ? '起始' : 
+            new Date(point.time).toLocaleDateString('zh-CN', { month: '2-digit', day: '2-digit' }));
+        this.equityChart.data.datasets[0].data = curve.map(point => parseFloat(point.equity.toFixed(2)));
+        this.equityChart.update();
+    }
+    
+    addPriceToHistory(price) {
+        const now = new Date(this.now());
+        const timeLabel = `${now.getHours()}:${now.getMinutes().toString().padStart(2, '0')}`;
+        
+        this.priceData.push({
+            time: timeLabel,
+            price: price
+        });
+        
+        // 保持最多30个数据点
+        if (this.priceData.length > 30) {
+            this.priceData.shift();
+        }
+        
+        this.updateChart();
+    }
+    
+    updateChart() {
+        if (this.candleSeries) {
+            this.updateCandleChart();
+            return;
+        }
+        
+        if (!this.chart || this.priceData.length === 0) return;
+        
+        this.chart.data.labels = this.priceData.map(item => item.time);
+        this.chart.data.datasets[0].data = this.priceData.map(item => item.price);
+        this.chart.update();
+    }
+    
+    // ==================== K线图 ====================
+    
+    // 拖动平移、滚轮/双指缩放由图表库提供
+    initCandleChart(container) {
+        this.candleChart = LightweightCharts.createChart(container, {
+            autoSize: true,
+            layout: {
+                background: { color: 'transparent' },
+                textColor: '#d1d5db'
+            },
+            grid: {
+                vertLines: { color: '#374151' },
+                horzLines: { color: '#374151' }
+            },
+            timeScale: {
+                timeVisible: true,
+                secondsVisible: false,
+                borderColor: '#4b5563'
+            },
+            rightPriceScale: {
+                borderColor: '#4b5563'
+            },
+            handleScroll: true,
+            handleScale: true
+        });
+        
+        this.candleSeries = this.candleChart.addCandlestickSeries({
+            upColor: '#10b981',
+            downColor: '#ef4444',
+            borderVisible: false,
+            wickUpColor: '#10b981',
+            wickDownColor: '#ef4444'
+        });
+        
+        // 成交量柱叠加在图表底部
+        this.volumeSeries = this.candleChart.addHistogramSeries({
+            priceFormat: { type: 'volume' },
+            priceScaleId: 'volume',
+            lastValueVisible: false,
+            priceLineVisible: false
+        });
+        this.candleChart.priceScale('volume').applyOptions({
+            scaleMargins: { top: 0.8, bottom: 0 }
+        });
+        
+        // 平移/缩放后按可见K线重新计算成交量分布
+        this.candleChart.timeScale().subscribeVisibleLogicalRangeChange(() => this.updateVolumeProfile());
+        
+        this.renderChartTimeframes();
+    }
+    
+    renderChartTimeframes() {
+        const container = document.getElementById('chartTimeframes');
+        if (!container) return;
+        
+        container.innerHTML = this.config.chartTimeframes.map(timeframe => `
+            <button class="px-2 py-1 text-xs rounded ${timeframe === this.chartTimeframe ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}"
+                    data-timeframe="${timeframe}">${timeframe}</button>
+        `).join('');
+        
+        container.querySelectorAll('button').forEach(button => {
+            button.onclick = () => this.selectChartTimeframe(button.dataset.timeframe);
+        });
+    }
+    
+    async selectChartTimeframe(timeframe) {
+        if (timeframe === this.chartTimeframe) return;
+        
+        this.chartTimeframe = timeframe;
+        this.chartCandles = [];
+        this.renderChartTimeframes();
+        
+        await this.loadChartCandles();
+        this.updateChart();
+        this.resetChartZoom();
+    }
+    
+    // 信号周期直接使用 this.candles；其他周期（或服务端引擎模式下本地没有K线时）单独加载
+    async loadChartCandles() {
+        if (!this.candleSeries) return;
+        if (this.chartTimeframe === '15m' && this.candles.length > 0) return;
+        
+        try {
+            this.chartCandles = await this.getCandleData(this.chartTimeframe, this.config.chartCandleLimit);
+        } catch (error) {
+            console.error(`加载${this.chartTimeframe}K线图失败:`, error);
+        }
+    }
+    
+    getChartCandles() {
+        return this.chartTimeframe === '15m' && this.candles.length > 0 ? this.candles : this.chartCandles;
+    }
+    
+    resetChartZoom() {
+        if (this.candleChart) {
+            this.candleChart.timeScale().fitContent();
+        }
+    }
+    
+    updateCandleChart() {
+        const candles = this.getChartCandles();
+        if (candles.length === 0) return;
         
-        this.priceData.push({
-            time: timeLabel,
-            price: price
-        });
+        const periodMs = this.getTimeframeMs(this.chartTimeframe);
+        const price = this.state.currentPrice;
         
-        // 保持最多30个数据点
-        if (this.priceData.length > 30) {
-            this.priceData.shift();
+        const data = candles.map(c => ({
+            time: Math.floor(c.timestamp / 1000),
+            open: c.open,
+            high: c.high,
+            low: c.low,
+            close: c.close
+        }));
+        
+        // 最后一根未收盘时用最新价更新
+        const last = candles[candles.length - 1];
+        if (price && this.now() < last.timestamp + periodMs) {
+            const bar = data[data.length - 1];
+            bar.close = price;
+            bar.high = Math.max(bar.high, price);
+            bar.low = Math.min(bar.low, price);
         }
         
-        this.updateChart();
+        this.candleSeries.setData(data);
+        this.volumeSeries.setData(candles.map((c, i) => ({
+            time: data[i].time,
+            value: c.volume || 0,
+            color: data[i].close >= data[i].open ? 'rgba(16, 185, 129, 0.4)' : 'rgba(239, 68, 68, 0.4)'
+        })));
+        this.updateChartLines();
+        this.updateVolumeProfile();
+        this.updateChartMarkers(candles[0].timestamp, last.timestamp + periodMs, periodMs);
     }
     
-    updateChart() {
-        if (!this.chart || this.priceData.length === 0) return;
+    // 支撑阻力位 + 活跃交易的开仓/TP1/TP2/当前止损水平线
+    updateChartLines() {
+        this.chartLines.forEach(line => this.candleSeries.removePriceLine(line));
+        this.chartLines = [];
+        
+        const addLine = (price, color, title, lineStyle = LightweightCharts.LineStyle.Solid) => {
+            if (!(price > 0)) return;
+            this.chartLines.push(this.candleSeries.createPriceLine({
+                price,
+                color,
+                lineWidth: 1,
+                lineStyle,
+                axisLabelVisible: true,
+                title
+            }));
+        };
         
-        this.chart.data.labels = this.priceData.map(item => item.time);
-        this.chart.data.datasets[0].data = this.priceData.map(item => item.price);
-        this.chart.update();
+        const { support, resistance } = this.state.indicators;
+        addLine(support, '#6b7280', '支撑', LightweightCharts.LineStyle.Dashed);
+        addLine(resistance, '#6b7280', '阻力', LightweightCharts.LineStyle.Dashed);
+        
+        const trade = this.state.activeTrade;
+        if (trade) {
+            addLine(parseFloat(trade.price), '#e5e7eb', '开仓');
+            addLine(parseFloat(trade.tp1), '#10b981', this.isTp1Filled(trade) ? 'TP1 ✓' : 'TP1');
+            addLine(parseFloat(trade.tp2), '#059669', 'TP2');
+            addLine(parseFloat(trade.sl), '#ef4444', trade.sl !== trade.initialSl ? '止损(已移动)' : 'SL');
+        }
+    }
+    
+    // 可见区间的成交量分布：POC/价值区画在K线图上，各价格区间成交量渲染到 volumeProfile
+    updateVolumeProfile() {
+        if (!this.candleSeries) return;
+        
+        this.profileLines.forEach(line => this.candleSeries.removePriceLine(line));
+        this.profileLines = [];
+        
+        const candles = this.getChartCandles();
+        const range = this.candleChart.timeScale().getVisibleLogicalRange();
+        const visible = range ?
+            candles.slice(Math.max(0, Math.floor(range.from)), Math.max(0, Math.ceil(range.to) + 1)) : candles;
+        const profile = ta.volumeProfile(visible, this.config.volumeProfileBins);
+        
+        const container = document.getElementById('volumeProfile');
+        if (!profile) {
+            if (container) container.innerHTML = '<div class="text-xs text-gray-500">无成交量数据</div>';
+            return;
+        }
+        
+        [
+            [profile.poc, '#f59e0b', 'POC'],
+            [profile.valueAreaHigh, '#a78bfa', 'VAH'],
+            [profile.valueAreaLow, '#a78bfa', 'VAL']
+        ].forEach(([price, color, title]) => {
+            this.profileLines.push(this.candleSeries.createPriceLine({
+                price,
+                color,
+                lineWidth: 1,
+                lineStyle: LightweightCharts.LineStyle.Dotted,
+                axisLabelVisible: false,
+                title
+            }));
+        });
+        
+        if (container) {
+            const maxVolume = Math.max(...profile.bins.map(bin => bin.volume));
+            container.innerHTML = profile.bins.slice().reverse().map(bin => {
+                const inValueArea = bin.low >= profile.valueAreaLow && bin.high <= profile.valueAreaHigh;
+                const isPoc = profile.poc >= bin.low && profile.poc <= bin.high;
+                return `
+                    <div class="flex items-center text-xs">
+                        <span class="w-20 text-gray-400">${bin.low.toFixed(2)}</span>
+                        <div class="flex-1 bg-gray-800 h-2 rounded">
+                            <div class="h-2 rounded ${isPoc ? 'bg-yellow-500' : inValueArea ? 'bg-purple-500' : 'bg-gray-600'}"
+                                 style="width: ${(bin.volume / maxVolume * 100).toFixed(1)}%"></div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+    }
+    
+    // 历史交易的开仓（BUY/SELL）和离场标记，按K线周期对齐
+    updateChartMarkers(from, to, periodMs) {
+        const markers = [];
+        const barTime = time => Math.floor(new Date(time).getTime() / periodMs) * periodMs;
+        const inRange = time => time >= from && time < to;
+        const exitLabels = { tp1: 'TP1', tp2: 'TP2', sl: 'SL', breakeven: '保本', trail: '移动止损', manual: '手动' };
+        
+        this.state.signalHistory.forEach(trade => {
+            if (trade.action !== 'BUY' && trade.action !== 'SELL') return;
+            
+            const entryTime = barTime(trade.timestamp);
+            if (inRange(entryTime)) {
+                markers.push({
+                    time: entryTime / 1000,
+                    position: trade.action === 'BUY' ? 'belowBar' : 'aboveBar',
+                    color: trade.action === 'BUY' ? '#10b981' : '#ef4444',
+                    shape: trade.action === 'BUY' ? 'arrowUp' : 'arrowDown',
+                    text: trade.action
+                });
+            }
+            
+            // 每笔成交一个离场标记（旧记录没有成交明细时用完成时间）
+            const exits = trade.fills && trade.fills.length > 0 ? trade.fills :
+                (trade.completedAt ? [{ type: trade.status, time: trade.completedAt, pnl: trade.pnl }] : []);
+            
+            exits.forEach(exit => {
+                const exitTime = barTime(exit.time);
+                if (!inRange(exitTime)) return;
+                
+                markers.push({
+                    time: exitTime / 1000,
+                    position: trade.action === 'BUY' ? 'aboveBar' : 'belowBar',
+                    color: parseFloat(exit.pnl) >= 0 ? '#10b981' : '#ef4444',
+                    shape: 'circle',
+                    text: exitLabels[exit.type] || exit.type.replace('hit_', '').toUpperCase()
+                });
+            });
+        });
+        
+        this.candleSeries.setMarkers(markers.sort((a, b) => a.time - b.time));
     }
     
     // ==================== 控制方法 ====================
@@ -1200,6 +3395,18 @@ class AutoTradingSystem {
         if (this.state.isRunning) return;
         
         this.state.isRunning = true;
+        
+        // 服务端引擎模式只订阅推送，K线图数据在本地定时加载
+        if (this.state.isRemote) {
+            this.connectStream();
+            this.loadChartCandles().then(() => this.updateChart());
+            this.intervals.chart = setInterval(async () => {
+                await this.loadChartCandles();
+                this.updateChart();
+            }, this.config.chartUpdateInterval);
+            return;
+        }
+        
         console.log('🚀 启动全自动模式');
         
         // 价格更新定时器
@@ -1208,6 +3415,9 @@ class AutoTradingSystem {
                 const ticker = await this.getTickerData();
                 if (ticker) {
                     this.updatePriceData(ticker);
+                    
+                    // 先用K线高低点补查轮询间隔内的影线，再检查最新价
+                    await this.checkIntrabarConditions();
                     this.checkTradeConditions();
                 }
             } catch (error) {
@@ -1223,14 +3433,83 @@ class AutoTradingSystem {
         // 图表更新定时器
         this.intervals.chart = setInterval(async () => {
             try {
-                this.candles = await this.getCandleData('15m', 30);
+                this.candles = await this.getCandleData('15m', this.config.candleLimit);
+                await this.loadHigherTimeframes();
                 this.calculateIndicators();
+                
+                await this.loadChartCandles();
+                this.updateChart();
             } catch (error) {
                 console.error('图表更新失败:', error);
             }
         }, this.config.chartUpdateInterval);
     }
     
+    selectSymbol(symbol) {
+        if (symbol === this.config.symbol || !this.config.watchlist.includes(symbol)) return;
+        
+        console.log(`🔀 切换交易对: ${this.config.symbol} → ${symbol}`);
+        
+        // 本地模式：保存当前交易对状态后再切换
+        if (!this.state.isRemote) {
+            this.stopAutoMode();
+            this.saveData();
+        }
+        
+        this.config.symbol = symbol;
+        this.historyQuery.page = 1;
+        this.priceData = [];
+        this.candles = [];
+        this.higherCandles = {};
+        this.chartCandles = [];
+        
+        if (this.chart) {
+            this.chart.data.datasets[0].label = `${symbol.replace('-', '/')} 价格`;
+        }
+        
+        this.resetSignalDisplay();
+        Object.assign(this.state, this.createMarketState());
+        
+        if (this.state.isRemote) {
+            this.applyEngineState(this.markets[symbol]);
+        } else {
+            this.loadStoredData();
+            this.updateAllDisplays();
+            
+            this.restoreFromStore()
+                .then(() => {
+                    this.updateAllDisplays();
+                    return this.loadInitialData();
+                })
+                .then(() => this.startAutoMode())
+                .catch(() => this.showStatus(`${symbol} 数据加载失败`, 'error'));
+        }
+        
+        this.renderSymbolSelector();
+        this.renderWatchlist();
+    }
+    
+    selectStrategy(strategyId) {
+        if (!strategies.has(strategyId) || strategyId === this.config.strategy) return;
+        
+        const strategy = strategies.get(strategyId);
+        console.log(`🧠 切换策略: ${strategy.name}`);
+        
+        // 服务端引擎模式：由服务端切换当前交易对的策略
+        if (this.state.isRemote) {
+            this.requestEngineAction('strategy', { strategy: strategyId }).then(snapshot => {
+                this.showStatus(snapshot ? `策略已切换: ${strategy.name}` : '策略切换失败', snapshot ? 'success' : 'error');
+            });
+            return;
+        }
+        
+        this.config.strategy = strategyId;
+        localStorage.setItem('trading_strategy', strategyId);
+        this.saveStoreConfig({ strategy: strategyId });
+        this.renderStrategySelector();
+        this.showStatus(`策略已切换: ${strategy.name}`, 'success');
+    }
+    
     stopAutoMode() {
         if (!this.state.isRunning) return;
         
@@ -1241,36 +3520,69 @@ class AutoTradingSystem {
         Object.values(this.intervals).forEach(interval => {
             if (interval) clearInterval(interval);
         });
+        
+        this.disconnectStream();
     }
     
     startCooldownPeriod() {
-        this.state.cooldownEnd = new Date(Date.now() + this.config.cooldownSeconds * 1000);
+        this.state.cooldownEnd = new Date(this.now() + this.config.cooldownSeconds * 1000);
         this.updateCooldownDisplay();
     }
     
     isInCooldown() {
         if (!this.state.cooldownEnd) return false;
-        return new Date() < this.state.cooldownEnd;
+        return this.now() < this.state.cooldownEnd.getTime();
+    }
+    
+    // 引擎时钟，回测/回放时可覆盖
+    now() {
+        // 服务端回放时跟随回放时钟
+        if (this.clockSync) {
+            const { time, receivedAt, speed, running } = this.clockSync;
+            return running ? time + (Date.now() - receivedAt) * speed : time;
+        }
+        
+        return Date.now();
     }
     
     // ==================== 数据存储方法 ====================
     
+    // 按交易对区分存储，BTC-USDT沿用旧键名以兼容已有数据
+    storageKey(base) {
+        return this.config.symbol === 'BTC-USDT' ? base : `${base}_${this.config.symbol}`;
+    }
+    
     loadStoredData() {
         try {
+            // 加载策略选择
+            const savedStrategy = localStorage.getItem('trading_strategy');
+            if (savedStrategy && strategies.has(savedStrategy)) {
+                this.config.strategy = savedStrategy;
+            }
+            
+            // 加载指标面板选择
+            const savedIndicators = localStorage.getItem('trading_indicators');
+            if (savedIndicators) {
+                const ids = this.getIndicatorOptions().map(option => option.id);
+                this.config.displayIndicators = JSON.parse(savedIndicators).filter(id => ids.includes(id));
+            }
+            
             // 加载信号历史
-            const savedHistory = localStorage.getItem('trading_signals');
+            const savedHistory = localStorage.getItem(this.storageKey('trading_signals'));
             if (savedHistory) {
                 const parsed = JSON.parse(savedHistory);
                 this.state.signalHistory = parsed.slice(0, 20);
             }
             
             // 加载系统状态
-            const savedState = localStorage.getItem('trading_state');
+            const savedState = localStorage.getItem(this.storageKey('trading_state'));
             if (savedState) {
                 const parsed = JSON.parse(savedState);
                 
                 // 合并状态，但保留重要数据
-                this.state.stats = parsed.stats || this.state.stats;
+                this.state.stats = { ...this.state.stats, ...parsed.stats };
+                this.state.account = parsed.account || this.state.account;
+                this.state.tradeLog = parsed.tradeLog || [];
                 this.state.cooldownEnd = parsed.cooldownEnd ? new Date(parsed.cooldownEnd) : null;
                 
                 // 如果活跃交易存在且未完成，恢复它
@@ -1287,18 +3599,24 @@ class AutoTradingSystem {
     }
     
     saveData() {
+        // 服务端引擎模式下数据由服务端保存
+        if (this.state.isRemote) return;
+        
         try {
-            localStorage.setItem('trading_signals', 
+            localStorage.setItem(this.storageKey('trading_signals'), 
                 JSON.stringify(this.state.signalHistory));
                 
-            localStorage.setItem('trading_state', 
+            localStorage.setItem(this.storageKey('trading_state'), 
                 JSON.stringify({
                     stats: this.state.stats,
+                    account: this.state.account,
+                    tradeLog: this.state.tradeLog,
                     cooldownEnd: this.state.cooldownEnd,
                     activeTrade: this.state.activeTrade,
                     lastUpdate: new Date().toISOString()
                 }));
-                
+            
+            this.syncToStore();
             console.log('💾 数据保存完成');
             
         } catch (error) {
@@ -1397,15 +3715,29 @@ class AutoTradingSystem {
     
     manualGenerateSignal() {
         if (confirm('确定要手动生成信号吗？这可能会跳过冷却时间。')) {
+            if (this.state.isRemote) {
+                this.requestEngineAction('signal');
+                return;
+            }
+            
             this.state.cooldownEnd = null;
             this.generateSignal();
         }
     }
     
     manualCheckTrade() {
+        if (this.state.isRemote) {
+            this.requestEngineAction('check').then(() => {
+                alert('已手动检查交易状态！');
+            });
+            return;
+        }
+        
         if (this.state.activeTrade) {
-            this.checkTradeConditions();
-            alert('已手动检查交易状态！');
+            this.checkIntrabarConditions().then(() => {
+                this.checkTradeConditions();
+                alert('已手动检查交易状态！');
+            });
         } else {
             alert('当前没有活跃交易');
         }
@@ -1413,43 +3745,46 @@ class AutoTradingSystem {
     
     resetSystem() {
         if (confirm('确定要重置系统吗？这将清除所有历史数据！')) {
-            localStorage.removeItem('trading_signals');
-            localStorage.removeItem('trading_state');
+            // 服务端引擎模式：由服务端清空该交易对的记录和账户，本地只清理历史库
+            if (this.state.isRemote) {
+                this.requestEngineAction('reset').then(snapshot => {
+                    if (!snapshot) {
+                        this.showStatus('重置失败（有交易所持仓时需先平仓）', 'error');
+                        return;
+                    }
+                    
+                    this.persistedHistory.clear();
+                    historyDb.clear(this.config.symbol)
+                        .catch(error => console.error('清除交易历史失败:', error))
+                        .then(() => this.renderHistoryPage());
+                    this.showStatus('系统已重置', 'success');
+                    console.log('🔄 服务端引擎已重置');
+                });
+                return;
+            }
+            
+            // 先停止定时器：替换 state 后 isRunning 为 false，stopAutoMode 就不会再清理
+            this.stopAutoMode();
+            
+            localStorage.removeItem(this.storageKey('trading_signals'));
+            localStorage.removeItem(this.storageKey('trading_state'));
+            historyDb.clear(this.config.symbol).catch(error => console.error('清除交易历史失败:', error));
+            this.persistedHistory.clear();
             
             // 重置状态
             this.state = {
-                currentPrice: 0,
-                indicators: {
-                    rsi: 50,
-                    trend: 'neutral',
-                    volatility: 0,
-                    support: 0,
-                    resistance: 0,
-                    pricePosition: 50
-                },
-                activeTrade: null,
-                signalHistory: [],
-                stats: {
-                    totalTrades: 0,
-                    winningTrades: 0,
-                    totalPnL: 0,
-                    currentStreak: 0,
-                    bestStreak: 0,
-                    maxWin: 0,
-                    maxLoss: 0,
-                    avgWin: 0,
-                    avgLoss: 0
-                },
-                cooldownEnd: null,
+                ...this.createMarketState(),
                 isRunning: false,
-                isInitialized: false
+                isInitialized: false,
+                isRemote: this.state.isRemote
             };
             
             this.priceData = [];
             this.candles = [];
+            this.higherCandles = {};
             
-            // 停止定时器
-            this.stopAutoMode();
+            // 模拟账户回到初始资金
+            this.resetAccount();
             
             // 更新显示
             this.updateAllDisplays();
@@ -1464,31 +3799,317 @@ class AutoTradingSystem {
         }
     }
     
-    exportData() {
-        if (this.state.signalHistory.length === 0) {
+    // ==================== 导出/导入 ====================
+    
+    // 当前交易对的完整历史（历史库 + 尚未写入的最近记录），按开仓时间倒序
+    async getAllTrades() {
+        let trades = [];
+        try {
+            trades = await historyDb.all(this.config.symbol);
+        } catch (error) {
+            console.error('读取交易历史失败:', error);
+        }
+        
+        return this.mergeTrades(trades, this.state.signalHistory);
+    }
+    
+    // format: json（可导回）/ csv（表格软件）
+    async exportData(format = 'json') {
+        const trades = await this.getAllTrades();
+        if (trades.length === 0) {
             alert('没有可导出的数据');
             return;
         }
         
-        const data = {
-            signals: this.state.signalHistory,
-            stats: this.state.stats,
-            config: this.config,
-            exportTime: new Date().toISOString()
-        };
+        const date = new Date().toISOString().slice(0, 10);
+        
+        if (format === 'csv') {
+            this.downloadFile(`trading_trades_${this.config.symbol}_${date}.csv`, this.tradesToCsv(trades), 'text/csv');
+        } else {
+            const data = {
+                version: 1,
+                symbol: this.config.symbol,
+                signals: trades,
+                stats: this.state.stats,
+                tradeLog: this.state.tradeLog,
+                config: this.config,
+                exportTime: new Date().toISOString()
+            };
+            this.downloadFile(`trading_data_${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+        }
         
-        const dataStr = JSON.stringify(data, null, 2);
-        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
-        const fileName = `trading_data_${new Date().toISOString().slice(0, 10)}.json`;
+        this.showStatus(`已导出 ${trades.length} 条记录`, 'success');
+    }
+    
+    downloadFile(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
         
         const link = document.createElement('a');
-        link.setAttribute('href', dataUri);
+        link.setAttribute('href', url);
         link.setAttribute('download', fileName);
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    // CSV列（导入时按表头名称读取，顺序无关）
+    getCsvColumns() {
+        return [
+            'id', 'symbol', 'timestamp', 'action', 'strategy', 'confidence', 'price', 'tp1', 'tp2', 'sl', 'initialSl',
+            'positionSize', 'positionPercent', 'riskReward', 'status', 'result', 'exitPrice', 'completedAt',
+            'pnl', 'grossPnl', 'fees', 'slippage', 'funding', 'reason'
+        ];
+    }
+    
+    tradesToCsv(trades) {
+        const columns = this.getCsvColumns();
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const rows = trades.map(trade => columns.map(column => escape(trade[column])).join(','));
+        // BOM 让表格软件按 UTF-8 打开中文
+        return '\ufeff' + [columns.join(','), ...rows].join('\r\n');
+    }
+    
+    // 支持引号包裹的字段（字段内可含逗号、换行和转义的双引号）
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        return rows.filter(r => r.some(value => value !== ''));
+    }
+    
+    // 解析导出文件，返回 { trades, stats, config, invalid }；格式不对时抛出错误
+    parseImportFile(text, fileName) {
+        const content = text.replace(/^\ufeff/, '');
+        let trades;
+        let config = null;
+        let fileSymbol = null;
+        
+        if (/\.csv$/i.test(fileName) || !content.trim().startsWith('{')) {
+            const [header, ...rows] = this.parseCsv(content);
+            if (!header || !['id', 'timestamp', 'action', 'price'].every(column => header.includes(column))) {
+                throw new Error('CSV缺少必需的列: id, timestamp, action, price');
+            }
+            
+            trades = rows.map(values => {
+                const trade = {};
+                header.forEach((column, index) => {
+                    if (values[index] !== undefined && values[index] !== '') trade[column] = values[index];
+                });
+                return trade;
+            });
+        } else {
+            let data;
+            try {
+                data = JSON.parse(content);
+            } catch (error) {
+                throw new Error(`JSON格式错误: ${error.message}`);
+            }
+            
+            if (!data || !Array.isArray(data.signals)) {
+                throw new Error('不是有效的导出文件（缺少 signals）');
+            }
+            
+            trades = data.signals;
+            config = data.config && typeof data.config === 'object' ? data.config : null;
+            fileSymbol = data.symbol || null;
+        }
+        
+        const valid = trades.filter(trade =>
+            trade && typeof trade.id === 'string' && /^[\w.:-]+$/.test(trade.id) &&
+            historyDb.normalizeTimestamp(trade.timestamp) !== null &&
+            ['BUY', 'SELL'].includes(trade.action) &&
+            parseFloat(trade.price) > 0);
+        
+        // CSV中没有分批成交明细；文件中进行中的交易只作为历史记录，不接管当前持仓
+        const normalized = valid.map(trade => ({
+            result: null,
+            pnl: null,
+            exitPrice: null,
+            completedAt: null,
+            fills: [],
+            ...trade,
+            ...(trade.status === 'active' ? { status: 'imported_open' } : {}),
+            timestamp: historyDb.normalizeTimestamp(trade.timestamp),   // 其他格式的时间会被按时间范围的查询漏掉
+            remaining: 0,
+            symbol: trade.symbol || fileSymbol || this.config.symbol
+        }));
+        
+        return { trades: normalized, config, invalid: trades.length - valid.length };
+    }
+    
+    // 按 id 去重：已完成的记录优先于进行中的，同样完成度时保留已有记录
+    mergeTrades(existing, incoming) {
+        const merged = new Map(existing.map(trade => [trade.id, trade]));
+        
+        incoming.forEach(trade => {
+            const current = merged.get(trade.id);
+            if (!current || (!current.completedAt && trade.completedAt)) {
+                merged.set(trade.id, trade);
+            }
+        });
+        
+        return [...merged.values()].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+    
+    // 由交易记录重新计算统计和绩效记录（导入合并后使用）
+    recalculateStats(trades) {
+        const stats = this.createMarketState().stats;
+        const value = (item, key) => parseFloat(item[key] || 0);
+        const addCosts = item => {
+            stats.totalPnL += value(item, 'pnl');
+            stats.grossPnL += parseFloat(item.grossPnl ?? item.pnl) || 0;
+            stats.totalFees += value(item, 'fees');
+            stats.totalSlippage += value(item, 'slippage');
+            stats.totalFunding += value(item, 'funding');
+        };
+        
+        const completed = trades
+            .filter(trade => trade.result === 'win' || trade.result === 'loss')
+            .sort((a, b) => new Date(a.completedAt || a.timestamp) - new Date(b.completedAt || b.timestamp));
+        
+        let equity = this.state.account.initialBalance;
+        const tradeLog = completed.map(trade => {
+            const pnl = value(trade, 'pnl');
+            const entryLog = this.buildLogEntry(trade, pnl, equity);
+            equity += pnl;
+            
+            this.applyTradeToStats(stats, trade.result, pnl);
+            // 有成交明细时按明细累计（精度更高），CSV导入的记录只有汇总
+            (trade.fills && trade.fills.length > 0 ? trade.fills : [trade]).forEach(addCosts);
+            return entryLog;
+        });
+        
+        // 进行中交易（含导入的未结束交易）已成交部分（TP1）计入总盈亏和成本
+        trades.filter(trade => ['active', 'imported_open'].includes(trade.status)).forEach(trade => (trade.fills || []).forEach(addCosts));
+        
+        stats.partialFills = trades.reduce((count, trade) =>
+            count + (trade.fills || []).filter(fill => fill.type === 'tp1' && fill.fraction < 1).length, 0);
+        
+        return { stats, tradeLog };
+    }
+    
+    // 导入的配置只接受已有且类型一致的参数（连接地址和交易对不变）
+    applyImportedConfig(config) {
+        const locked = ['apiBase', 'engineUrl', 'replayUrl', 'storeUrl', 'symbol', 'watchlist'];
+        const applied = {};
+        
+        Object.entries(config).forEach(([key, value]) => {
+            if (locked.includes(key) || !(key in this.config)) return;
+            if (Array.isArray(value) !== Array.isArray(this.config[key]) || typeof value !== typeof this.config[key]) return;
+            if (key === 'strategy' && !strategies.has(value)) return;
+            applied[key] = value;
+        });
+        
+        Object.assign(this.config, applied);
+        if (applied.strategy) localStorage.setItem('trading_strategy', applied.strategy);
+        if (applied.displayIndicators) localStorage.setItem('trading_indicators', JSON.stringify(applied.displayIndicators));
+        
+        return applied;
+    }
+    
+    // 导入之前导出的 JSON/CSV：合并去重后重算统计，JSON中的配置一并恢复
+    async importData(file) {
+        if (this.state.isRemote) {
+            this.showStatus('服务端引擎模式下数据由服务端保存，无法导入', 'error');
+            return;
+        }
+        
+        let parsed;
+        try {
+            parsed = this.parseImportFile(await file.text(), file.name);
+        } catch (error) {
+            console.error('导入失败:', error);
+            this.showStatus(`导入失败: ${error.message}`, 'error');
+            return;
+        }
+        
+        const imported = parsed.trades.filter(trade => trade.symbol === this.config.symbol);
+        if (imported.length === 0) {
+            this.showStatus(`文件中没有 ${this.config.symbol} 的有效交易记录`, 'error');
+            return;
+        }
+        
+        const existing = await this.getAllTrades();
+        const known = new Set(existing.map(trade => trade.id));
+        const merged = this.mergeTrades(existing, imported);
+        
+        await historyDb.save(merged).catch(error => console.error('保存交易历史失败:', error));
+        
+        // 活跃交易与历史记录为同一个对象
+        this.state.signalHistory = merged.slice(0, 20).map(trade =>
+            this.state.activeTrade && trade.id === this.state.activeTrade.id ? this.state.activeTrade : trade);
+        
+        const { stats, tradeLog } = this.recalculateStats(merged);
+        this.state.stats = stats;
+        this.state.tradeLog = tradeLog;
+        
+        // 模拟账户按合并后的已实现盈亏调整余额，出入金记录不变
+        const account = this.state.account;
+        const realizedChange = stats.totalPnL - account.realizedPnL;
+        if (Math.abs(realizedChange) > 1e-9) {
+            account.realizedPnL = stats.totalPnL;
+            account.balance += realizedChange;
+            this.recordLedger('pnl', realizedChange, '导入交易记录');
+        }
+        
+        const applied = parsed.config ? this.applyImportedConfig(parsed.config) : {};
+        if (Object.keys(applied).length > 0) {
+            this.saveStoreConfig(applied);
+            this.renderStrategySelector();
+            this.renderIndicatorSelector();
+        }
+        
+        this.saveData();
+        this.updateAllDisplays();
         
-        this.showStatus(`已导出 ${this.state.signalHistory.length} 条记录`, 'success');
+        const added = imported.filter(trade => !known.has(trade.id)).length;
+        const skipped = parsed.trades.length - imported.length;
+        this.showStatus(
+            `导入完成: 新增 ${added} 笔，重复 ${imported.length - added} 笔` +
+            `${parsed.invalid > 0 ? `，无效 ${parsed.invalid} 笔` : ''}${skipped > 0 ? `，其他交易对 ${skipped} 笔` : ''}`,
+            'success'
+        );
+        console.log(`📥 导入 ${file.name}: ${imported.length} 笔，配置 ${Object.keys(applied).length} 项`);
     }
 }
 
@@ -1550,15 +4171,115 @@ function resetSystem() {
     }
 }
 
-function exportSignals() {
+function depositFunds() {
+    const system = window.tradingSystem || tradingSystem;
+    if (system && system.changeBalance) {
+        const amount = prompt('入金金额 (USDT):');
+        if (amount) system.changeBalance('deposit', amount);
+    } else {
+        alert('系统未初始化');
+    }
+}
+
+function withdrawFunds() {
+    const system = window.tradingSystem || tradingSystem;
+    if (system && system.changeBalance) {
+        const amount = prompt('出金金额 (USDT):');
+        if (amount) system.changeBalance('withdraw', amount);
+    } else {
+        alert('系统未初始化');
+    }
+}
+
+function selectChartTimeframe(timeframe) {
+    const system = window.tradingSystem || tradingSystem;
+    if (system && system.selectChartTimeframe) {
+        system.selectChartTimeframe(timeframe);
+    }
+}
+
+function resetChartZoom() {
+    const system = window.tradingSystem || tradingSystem;
+    if (system && system.resetChartZoom) {
+        system.resetChartZoom();
+    }
+}
+
+function toggleIndicator(id) {
+    const system = window.tradingSystem || tradingSystem;
+    if (system && system.toggleIndicator) {
+        system.toggleIndicator(id);
+    }
+}
+
+function importStoreHistory() {
+    const system = window.tradingSystem || tradingSystem;
+    if (system && system.importStoreHistory) {
+        system.importStoreHistory();
+    }
+}
+
+function setHistoryFilter(key, value) {
+    const system = window.tradingSystem || tradingSystem;
+    if (system && system.setHistoryFilter) {
+        system.setHistoryFilter(key, value);
+    }
+}
+
+function sortHistory(column) {
+    const system = window.tradingSystem || tradingSystem;
+    if (system && system.sortHistory) {
+        system.sortHistory(column);
+    }
+}
+
+function changeHistoryPage(delta) {
+    const system = window.tradingSystem || tradingSystem;
+    if (system && system.changeHistoryPage) {
+        system.changeHistoryPage(delta);
+    }
+}
+
+function showTradeDetail(id) {
+    const system = window.tradingSystem || tradingSystem;
+    if (system && system.showTradeDetail) {
+        system.showTradeDetail(id);
+    }
+}
+
+function closeTradeDetail() {
+    const system = window.tradingSystem || tradingSystem;
+    if (system && system.closeTradeDetail) {
+        system.closeTradeDetail();
+    }
+}
+
+function exportSignals(format = 'json') {
     const system = window.tradingSystem || tradingSystem;
     if (system && system.exportData) {
-        system.exportData();
+        system.exportData(format);
     } else {
         alert('系统未初始化');
     }
 }
 
+// 选择之前导出的 JSON/CSV 文件导入
+function importSignals() {
+    const system = window.tradingSystem || tradingSystem;
+    if (!system || !system.importData) {
+        alert('系统未初始化');
+        return;
+    }
+    
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.csv';
+    input.onchange = () => {
+        if (input.files[0]) system.importData(input.files[0]);
+    };
+    input.click();
+}
+
 function testAPIConnection() {
     const system = window.tradingSystem || tradingSystem;
     if (system && system.testConnection) {
@@ -1592,7 +4313,7 @@ function stopAutoMode() {
 
 // ==================== 页面加载初始化 ====================
 
-document.addEventListener('DOMContentLoaded', function() {
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', function() {
     console.log('📈 BTC/USDT 自动交易系统加载中...');
     console.log('🕒 启动时间:', new Date().toLocaleString('zh-CN'));
     
@@ -1703,9 +4424,18 @@ if (typeof window !== 'undefined') {
     window.refreshAllData = refreshAllData;
     window.resetSystem = resetSystem;
     window.exportSignals = exportSignals;
+    window.depositFunds = depositFunds;
+    window.selectChartTimeframe = selectChartTimeframe;
+    window.resetChartZoom = resetChartZoom;
+    window.withdrawFunds = withdrawFunds;
     window.testAPIConnection = testAPIConnection;
     window.startAutoMode = startAutoMode;
     window.stopAutoMode = stopAutoMode;
 }
 
-console.log('✅ JavaScript代码加载完成');
\ No newline at end of file
+console.log('✅ JavaScript代码加载完成');
+
+// Node环境导出（回测/服务端引擎使用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AutoTradingSystem };
+}
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+
+// 引擎加载/构造时的日志会混入 --json 输出，回测期间屏蔽
+function silently(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+const { HeadlessTradingSystem } = silently(() => require('./engine.js'));
+
+// ==================== K线文件解析 ====================
+
+// 支持OKX K线格式: [ts, o, h, l, c, vol, ...] 或 {timestamp, open, high, low, close, volume}
+function parseCandleRow(row) {
+    if (Array.isArray(row)) {
+        const ts = Number(row[0]);
+        return {
+            timestamp: Number.isNaN(ts) ? Date.parse(row[0]) : ts,
+            open: parseFloat(row[1]),
+            high: parseFloat(row[2]),
+            low: parseFloat(row[3]),
+            close: parseFloat(row[4]),
+            volume: parseFloat(row[5]) || 0
+        };
+    }
+
+    const ts = Number(row.timestamp ?? row.ts);
+    return {
+        timestamp: Number.isNaN(ts) ? Date.parse(row.timestamp ?? row.ts) : ts,
+        open: parseFloat(row.open),
+        high: parseFloat(row.high),
+        low: parseFloat(row.low),
+        close: parseFloat(row.close),
+        volume: parseFloat(row.volume ?? row.vol) || 0
+    };
+}
+
+function parseCandles(text, format = 'json') {
+    let rows;
+
+    if (format === 'csv') {
+        rows = text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => line.split(','));
+
+        // 跳过表头
+        if (rows.length > 0 && Number.isNaN(Number(rows[0][1]))) {
+            rows.shift();
+        }
+    } else {
+        const parsed = JSON.parse(text);
+        rows = Array.isArray(parsed) ? parsed : parsed.data;
+
+        if (!Array.isArray(rows)) {
+            throw new Error('K线文件格式错误: 缺少data数组');
+        }
+    }
+
+    const candles = rows.map(parseCandleRow).filter(c =>
+        Number.isFinite(c.timestamp) &&
+        [c.open, c.high, c.low, c.close].every(Number.isFinite)
+    );
+
+    // OKX返回倒序数据，统一按时间升序并去重
+    candles.sort((a, b) => a.timestamp - b.timestamp);
+    return candles.filter((c, i) => i === 0 || c.timestamp !== candles[i - 1].timestamp);
+}
+
+function loadCandleFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+    return parseCandles(text, format);
+}
+
+// ==================== 高周期K线合成 ====================
+
+// OKX周期写法: 15m / 1H / 4H / 1D
+function timeframeToMs(timeframe) {
+    const match = String(timeframe).match(/^(\d+)([mHD])$/);
+    if (!match) throw new Error(`不支持的K线周期: ${timeframe}`);
+
+    const unit = { m: 60000, H: 3600000, D: 86400000 }[match[2]];
+    return parseInt(match[1], 10) * unit;
+}
+
+// 把一根低周期K线并入高周期序列（最后一根可能未收盘，与实时接口一致）
+function appendToTimeframe(series, bar, periodMs) {
+    const bucket = Math.floor(bar.timestamp / periodMs) * periodMs;
+    const last = series[series.length - 1];
+
+    if (last && last.timestamp === bucket) {
+        last.high = Math.max(last.high, bar.high);
+        last.low = Math.min(last.low, bar.low);
+        last.close = bar.close;
+        last.volume += bar.volume;
+    } else {
+        series.push({ ...bar, timestamp: bucket });
+    }
+}
+
+// ==================== 回测执行 ====================
+
+// 逐根K线回放 analyzeMarket → createTradeRecord → checkTradeConditions（开启 intrabarTimeframe 时为 evaluateBar）
+// 高周期趋势由回测K线合成，--higherTimeframes=1H,4H 开启高周期确认
+function runBacktest(candles, options = {}) {
+    const { config = {}, window = 50, verbose = false } = options;
+
+    if (candles.length < 20) {
+        throw new Error(`K线数量不足: ${candles.length} < 20`);
+    }
+
+    const system = silently(() => new HeadlessTradingSystem(config));
+    const barMs = candles[1].timestamp - candles[0].timestamp;
+    let clockTime = candles[0].timestamp;
+    system.clock = () => clockTime;
+
+    // 由回测K线合成高周期K线
+    const higherSeries = {};
+    system.config.higherTimeframes.forEach(timeframe => {
+        higherSeries[timeframe] = { periodMs: timeframeToMs(timeframe), candles: [] };
+    });
+
+    const trades = [];
+    const log = console.log;
+    if (!verbose) console.log = () => {};
+
+    try {
+        for (let i = 0; i < candles.length; i++) {
+            const bar = candles[i];
+
+            // 收盘价在K线结束时才可知
+            clockTime = bar.timestamp + barMs;
+            system.candles = candles.slice(Math.max(0, i - window + 1), i + 1);
+
+            Object.entries(higherSeries).forEach(([timeframe, series]) => {
+                appendToTimeframe(series.candles, bar, series.periodMs);
+                system.higherCandles[timeframe] = series.candles.slice(-30);
+            });
+            system.updatePriceData({ last: bar.close });
+
+            const trade = system.state.activeTrade;
+
+            if (trade && system.config.intrabarTimeframe) {
+                // 用K线高低点判断TP/SL；同时触及时按 bothTouchedRule，文件中没有更细K线，finer 按悲观处理
+                const outcome = system.evaluateBar(trade, bar);
+
+                if (outcome) {
+                    system.closeWithOutcome(trade, outcome.ambiguous ?
+                        system.pickBothTouched(outcome, system.config.bothTouchedRule) : outcome);
+                }
+
+                // 未离场则用这根K线移动止损（K线内先后未知，先判断再移动）
+                if (system.state.activeTrade === trade) {
+                    system.updateTrailingStop(trade, bar.high, bar.low, bar.close);
+                }
+            } else if (trade) {
+                // 未开启K线内判定时与实时引擎一致，只看收盘价
+                system.checkTradeConditions();
+            }
+
+            if (system.state.activeTrade || system.isInCooldown() || system.candles.length < 20) {
+                continue;
+            }
+
+            system.calculateIndicators();
+            const signal = system.analyzeMarket();
+
+            if (signal.action !== 'HOLD') {
+                const trade = system.createTradeRecord(signal);
+                system.state.activeTrade = trade;
+                system.addToHistory(trade);
+                trades.push(trade);
+            }
+        }
+    } finally {
+        console.log = log;
+    }
+
+    const stats = system.state.stats;
+
+    return {
+        trades,
+        openTrade: system.state.activeTrade,
+        account: system.getAccountSummary(),
+        analytics: system.getAnalytics(),
+        stats: {
+            ...stats,
+            winRate: stats.totalTrades > 0 ? stats.winningTrades / stats.totalTrades : 0
+        },
+        config: system.config,
+        range: {
+            from: new Date(candles[0].timestamp).toISOString(),
+            to: new Date(candles[candles.length - 1].timestamp).toISOString(),
+            bars: candles.length
+        }
+    };
+}
+
+// ==================== 命令行 ====================
+
+// 按默认配置的类型转换命令行参数（数组用逗号分隔）
+function parseConfigValue(defaultValue, value) {
+    if (Array.isArray(defaultValue)) {
+        return value === '' ? [] : value.split(',');
+    }
+    if (typeof defaultValue === 'number') {
+        return Number(value);
+    }
+    if (typeof defaultValue === 'boolean') {
+        return value !== 'false';
+    }
+    return value;
+}
+
+function parseArgs(argv, defaults) {
+    const args = { file: null, config: {}, json: false, out: null, verbose: false };
+
+    for (const arg of argv) {
+        const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+
+        if (!match) {
+            args.file = arg;
+        } else if (match[1] === 'json') {
+            args.json = true;
+        } else if (match[1] === 'verbose') {
+            args.verbose = true;
+        } else if (match[1] === 'out') {
+            args.out = match[2];
+        } else {
+            args.config[match[1]] = parseConfigValue(defaults[match[1]], match[2] ?? 'true');
+        }
+    }
+
+    return args;
+}
+
+function printReport(result) {
+    const { stats, trades, range } = result;
+
+    console.log(`📊 回测区间: ${range.from} ~ ${range.to} (${range.bars} 根K线)`);
+    console.table(trades.map(t => ({
+        time: t.timestamp,
+        action: t.action,
+        price: t.price,
+        exit: t.exitPrice,
+        status: t.status,
+        gross: t.grossPnl,
+        fees: t.fees,
+        pnl: t.pnl
+    })));
+    console.log(`总交易: ${stats.totalTrades} | 胜率: ${(stats.winRate * 100).toFixed(1)}% | 净盈亏: $${stats.totalPnL.toFixed(2)}`);
+    console.log(`毛利: $${stats.grossPnL.toFixed(2)} | 手续费: $${stats.totalFees.toFixed(2)} | 滑点: $${stats.totalSlippage.toFixed(2)} | 资金费: $${stats.totalFunding.toFixed(2)}`);
+    console.log(`最佳连胜: ${stats.bestStreak} | 平均盈利: $${stats.avgWin.toFixed(2)} | 平均亏损: $${stats.avgLoss.toFixed(2)}`);
+    console.log(`最大盈利: $${stats.maxWin.toFixed(2)} | 最大亏损: $${stats.maxLoss.toFixed(2)}`);
+    console.log(`期初资金: $${result.account.initialBalance.toFixed(2)} | 期末净值: $${result.account.equity.toFixed(2)}`);
+
+    const a = result.analytics;
+    console.log(`最大回撤: $${a.maxDrawdown.toFixed(2)} (${(a.maxDrawdownPercent * 100).toFixed(1)}%, ${a.maxDrawdownTrades} 笔) | ` +
+        `Sharpe: ${a.sharpe.toFixed(2)} | Sortino: ${a.sortino.toFixed(2)}`);
+    console.log(`盈亏比: ${a.profitFactor === null ? '∞' : a.profitFactor.toFixed(2)} | 期望: $${a.expectancy.toFixed(2)} | 平均R: ${a.avgR.toFixed(2)}`);
+    console.log(`多头: ${a.long.trades} 笔 $${a.long.totalPnL.toFixed(2)} | 空头: ${a.short.trades} 笔 $${a.short.totalPnL.toFixed(2)}`);
+
+    if (result.openTrade) {
+        console.log(`⚠️ 未平仓交易: ${result.openTrade.action} @ $${result.openTrade.price}`);
+    }
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2), silently(() => new HeadlessTradingSystem()).config);
+
+    if (!args.file) {
+        console.error('用法: node backtest.js <candles.json|candles.csv> [--rsiOversold=25] [--slPercent=0.01] [--higherTimeframes=1H,4H] [--strategy=rsi-sr] [--takerFeeRate=0.0005] [--slippageModel=bps] [--json] [--out=result.json]');
+        process.exit(1);
+    }
+
+    try {
+        const candles = loadCandleFile(args.file);
+        const result = runBacktest(candles, { config: args.config, verbose: args.verbose });
+
+        if (args.out) {
+            fs.writeFileSync(args.out, JSON.stringify(result, null, 2));
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            printReport(result);
+        }
+    } catch (error) {
+        console.error('回测失败:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { parseCandles, loadCandleFile, runBacktest };
@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { AutoTradingSystem } = require('./app.js');
+const { tradingStrategies } = require('./strategies.js');
+
+// ==================== 引擎事件总线 ====================
+// 带序号的环形缓冲，多个引擎共享，断线重连后按序号补发
+class EngineEventBus extends EventEmitter {
+    constructor(bufferSize = 500) {
+        super();
+        this.setMaxListeners(0);
+        this.bufferSize = bufferSize;
+        this.log = [];
+        this.epoch = Date.now().toString(36);
+        this.seq = 0;
+    }
+
+    // transient 事件（如价格tick）不进入缓冲，重连后只需最新快照即可
+    publish(type, symbol, data, time, transient = false) {
+        const event = {
+            id: transient ? this.currentEventId() : `${this.epoch}-${++this.seq}`,
+            type,
+            symbol,
+            data,
+            time
+        };
+
+        if (!transient) {
+            this.log.push(event);
+            if (this.log.length > this.bufferSize) {
+                this.log.shift();
+            }
+        }
+
+        this.emit('event', event);
+        return event;
+    }
+
+    currentEventId() {
+        return `${this.epoch}-${this.seq}`;
+    }
+
+    // 返回 lastId 之后的事件；无法补齐（重启或超出缓冲）时返回null，由调用方发送完整快照
+    eventsSince(lastId) {
+        const [epoch, seq] = String(lastId).split('-');
+        const since = parseInt(seq, 10);
+
+        if (epoch !== this.epoch || Number.isNaN(since) || since > this.seq) return null;
+        if (since === this.seq) return [];
+
+        const first = this.log[0];
+        if (!first || parseInt(first.id.split('-')[1], 10) > since + 1) return null;
+
+        return this.log.filter(e => parseInt(e.id.split('-')[1], 10) > since);
+    }
+}
+
+// ==================== 无界面交易引擎 ====================
+// 复用 AutoTradingSystem 的分析/交易逻辑，屏蔽所有DOM与localStorage操作
+class HeadlessTradingSystem extends AutoTradingSystem {
+    constructor(config = {}, options = {}) {
+        super();
+        this.config.tickPublishInterval = 1000;  // 实时行情推送给浏览器的最小间隔
+        this.config.engineUrl = null;            // 自身即服务端引擎
+        this.config.storeUrl = null;             // 交易存储由服务端直接写入
+        Object.assign(this.config, config);
+
+        // 父类构造时按默认初始资金建账，按传入配置重建
+        this.state.account = this.createAccount();
+
+        // 状态文件（服务端引擎持久化），为空则不持久化
+        this.storeFile = options.storeFile || null;
+        this.retryDelay = options.retryDelay || 30000;
+
+        // 行情数据源（WebSocket + REST兜底），为空则使用父类REST请求
+        this.marketData = options.marketData || null;
+        this.lastTickPublish = 0;
+
+        // 可注入时钟（回测时跟随K线时间）
+        this.clock = null;
+
+        // 事件推送（多个引擎可共享同一总线）
+        this.bus = options.bus || new EngineEventBus(options.eventBufferSize);
+
+        // 最近一次发布的状态文字
+        this.state.systemStatus = { message: '', type: 'info' };
+        this.state.tradeStatus = { status: '观望', message: '' };
+    }
+
+    now() {
+        return this.clock ? this.clock() : Date.now();
+    }
+
+    // ==================== 行情数据 ====================
+
+    // 有行情数据源（实时或回放）时通过它检测连通性
+    async testConnection() {
+        if (!this.marketData) return super.testConnection();
+
+        await this.marketData.getTicker(this.config.symbol);
+        return true;
+    }
+
+    async getTickerData() {
+        if (!this.marketData) return super.getTickerData();
+
+        try {
+            return await this.marketData.getTicker(this.config.symbol);
+        } catch (error) {
+            console.error('获取行情数据失败:', error.message);
+            throw error;
+        }
+    }
+
+    async getCandleData(interval = '15m', limit = 30) {
+        if (!this.marketData) return super.getCandleData(interval, limit);
+
+        try {
+            return await this.marketData.getCandles(this.config.symbol, interval, limit);
+        } catch (error) {
+            console.error('获取K线数据失败:', error.message);
+            throw error;
+        }
+    }
+
+    // WebSocket实时行情：每个tick都检查TP/SL，推送给浏览器时节流（按真实时间，回放加速时也不会刷屏）
+    onMarketTick(ticker) {
+        if (Date.now() - this.lastTickPublish >= this.config.tickPublishInterval) {
+            this.lastTickPublish = Date.now();
+            this.updatePriceData(ticker);
+        } else {
+            this.lastTicker = ticker;
+            this.state.currentPrice = parseFloat(ticker.last);
+        }
+
+        this.checkTradeConditions();
+    }
+
+    // 回放加速：定时器间隔按倍速缩短，冷却等时间判断由 clock 决定
+    setTimeScale(speed) {
+        if (!this.baseIntervals) {
+            this.baseIntervals = {
+                priceUpdateInterval: this.config.priceUpdateInterval,
+                signalCheckInterval: this.config.signalCheckInterval,
+                chartUpdateInterval: this.config.chartUpdateInterval
+            };
+        }
+
+        Object.entries(this.baseIntervals).forEach(([key, interval]) => {
+            this.config[key] = Math.max(100, interval / speed);
+        });
+
+        // 运行中则按新间隔重启定时器
+        if (this.state.isRunning) {
+            this.stopAutoMode();
+            this.startAutoMode();
+        }
+    }
+
+    // ==================== 存储 ====================
+
+    loadStoredData() {
+        if (!this.storeFile || !fs.existsSync(this.storeFile)) return;
+
+        try {
+            const parsed = JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+
+            this.state.signalHistory = (parsed.signalHistory || []).slice(0, 20);
+            this.state.stats = { ...this.state.stats, ...parsed.stats };
+            this.state.account = parsed.account || this.state.account;
+            this.state.tradeLog = parsed.tradeLog || [];
+            this.state.cooldownEnd = parsed.cooldownEnd ? new Date(parsed.cooldownEnd) : null;
+
+            if (parsed.strategy && tradingStrategies.has(parsed.strategy)) {
+                this.config.strategy = parsed.strategy;
+            }
+
+            if (parsed.activeTrade && parsed.activeTrade.status === 'active') {
+                this.state.activeTrade = parsed.activeTrade;
+
+                // 文件中活跃交易和历史记录是两份副本，恢复为同一个对象
+                const index = this.state.signalHistory.findIndex(trade => trade.id === parsed.activeTrade.id);
+                if (index >= 0) this.state.signalHistory[index] = this.state.activeTrade;
+            }
+
+            console.log(`📂 引擎状态已加载: ${this.storeFile}`);
+        } catch (error) {
+            console.error('加载引擎状态失败:', error);
+        }
+    }
+
+    saveData() {
+        if (!this.storeFile) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.storeFile), { recursive: true });
+            fs.writeFileSync(this.storeFile, JSON.stringify({
+                signalHistory: this.state.signalHistory,
+                stats: this.state.stats,
+                account: this.state.account,
+                tradeLog: this.state.tradeLog,
+                cooldownEnd: this.state.cooldownEnd,
+                activeTrade: this.state.activeTrade,
+                strategy: this.config.strategy,
+                lastUpdate: new Date(this.now()).toISOString()
+            }, null, 2));
+        } catch (error) {
+            console.error('保存引擎状态失败:', error);
+        }
+    }
+
+    // ==================== 对外发布 ====================
+
+    // 浏览器端只渲染这份快照
+    snapshot() {
+        return {
+            symbol: this.config.symbol,
+            strategy: this.config.strategy,
+            currentPrice: this.state.currentPrice,
+            ticker: this.lastTicker || null,
+            indicators: this.state.indicators,
+            activeTrade: this.state.activeTrade,
+            signalHistory: this.state.signalHistory,
+            stats: this.state.stats,
+            account: this.getAccountSummary(),
+            tradeLog: this.state.tradeLog,
+            cooldownEnd: this.state.cooldownEnd,
+            cooldownSeconds: this.config.cooldownSeconds,
+            systemStatus: this.state.systemStatus,
+            tradeStatus: this.state.tradeStatus,
+            isRunning: this.state.isRunning,
+            serverTime: new Date(this.now()).toISOString()
+        };
+    }
+
+    // 观察列表汇总行
+    summary() {
+        const { rsi, trend, pricePosition } = this.state.indicators;
+        const lastSignal = this.state.signalHistory[0] || null;
+
+        return {
+            symbol: this.config.symbol,
+            currentPrice: this.state.currentPrice,
+            rsi,
+            trend,
+            pricePosition,
+            activeTrade: this.state.activeTrade ? this.state.activeTrade.action : null,
+            lastSignal: lastSignal ? { action: lastSignal.action, timestamp: lastSignal.timestamp, status: lastSignal.status } : null,
+            cooldownEnd: this.state.cooldownEnd
+        };
+    }
+
+    publish(type, data, transient = false) {
+        return this.bus.publish(type, this.config.symbol, data, new Date(this.now()).toISOString(), transient);
+    }
+
+    updatePriceData(ticker) {
+        if (!ticker) return;
+        this.lastTicker = ticker;
+        super.updatePriceData(ticker);
+        this.publish('ticker', { ticker, currentPrice: this.state.currentPrice }, true);
+    }
+
+    updateIndicatorsDisplay() {
+        this.publish('indicators', this.state.indicators);
+    }
+
+    // 新信号（generateSignal 中创建交易后调用）
+    displaySignal(trade) {
+        this.publish('signal', trade);
+    }
+
+    completeTrade(result, tpLevel, currentPrice) {
+        const trade = this.state.activeTrade;
+        super.completeTrade(result, tpLevel, currentPrice);
+        this.publish('trade_closed', {
+            trade,
+            stats: this.state.stats,
+            account: this.getAccountSummary(),
+            logEntry: this.state.tradeLog[this.state.tradeLog.length - 1]
+        });
+    }
+
+    // 止损调整（保本/移动止损）
+    onStopAdjusted(trade) {
+        this.saveData();
+        this.publish('stop_moved', { trade });
+    }
+
+    // TP1部分止盈（交易仍在进行）
+    onPartialFill(trade, fill) {
+        this.saveData();
+        this.publish('partial_fill', { trade, fill, stats: this.state.stats, account: this.getAccountSummary() });
+    }
+
+    // 出入金/重置
+    onAccountChanged() {
+        this.saveData();
+        this.publish('account', { account: this.getAccountSummary() });
+    }
+
+    startCooldownPeriod() {
+        super.startCooldownPeriod();
+        this.publish('cooldown', { cooldownEnd: this.state.cooldownEnd });
+    }
+
+    // 手动信号：跳过冷却时间
+    async forceSignal() {
+        this.state.cooldownEnd = null;
+        this.publish('cooldown', { cooldownEnd: null });
+        await this.generateSignal();
+    }
+
+    // 清空交易记录、统计和模拟账户；已在交易所下单的活跃交易需先平仓
+    reset() {
+        if (this.state.activeTrade && this.state.activeTrade.execution) {
+            throw new Error('当前交易已在交易所下单，请先平仓再重置');
+        }
+
+        const { stats } = this.createMarketState();
+        Object.assign(this.state, {
+            activeTrade: null,
+            signalHistory: [],
+            tradeLog: [],
+            cooldownEnd: null,
+            stats,
+            account: this.createAccount()
+        });
+
+        this.saveData();
+        this.publish('reset', this.snapshot());
+        console.log(`🔄 ${this.config.symbol} 引擎已重置`);
+    }
+
+    // 切换信号策略（只影响之后生成的信号）
+    setStrategy(strategyId) {
+        if (!tradingStrategies.has(strategyId)) return false;
+
+        this.config.strategy = strategyId;
+        this.saveData();
+        this.publish('strategy', { strategy: strategyId });
+        return true;
+    }
+
+    updateTradeStatus(status, message) {
+        this.state.tradeStatus = { status, message };
+        this.publish('status', this.state.tradeStatus);
+    }
+
+    showStatus(message, type = 'info') {
+        this.state.systemStatus = { message, type };
+    }
+
+    // 服务端不使用随机模拟数据，稍后重试初始化
+    useSimulationMode() {
+        console.log(`⏳ ${this.retryDelay / 1000}秒后重试初始化`);
+        setTimeout(() => this.init(), this.retryDelay);
+    }
+
+    // ==================== UI方法（无界面时为空操作） ====================
+
+    initUI() {}
+    initChart() {}
+    initEquityChart() {}
+    updateChart() {}
+    async loadChartCandles() {}
+    addPriceToHistory() {}
+    updatePriceDisplay() {}
+    updateMarketData() {}
+    updateTradeParamsDisplay() {}
+    updateAnalysisDetails() {}
+    updateDistanceDisplay() {}
+    updateStatsDisplay() {}
+    updateAccountDisplay() {}
+    updateAnalyticsDisplay() {}
+    updateCooldownDisplay() {}
+    highlightTradeResult() {}
+    updateHistoryDisplay() {}
+    updateAllDisplays() {}
+    resetSignalDisplay() {}
+    renderSymbolSelector() {}
+    renderStrategySelector() {}
+    renderIndicatorSelector() {}
+    renderWatchlist() {}
+}
+
+module.exports = { EngineEventBus, HeadlessTradingSystem };
@@ -0,0 +1,528 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// ==================== OKX 私有接口客户端 ====================
+// v5 签名: base64(HMAC-SHA256(timestamp + METHOD + requestPath + body, secret))
+// demo 为 true 时带 x-simulated-trading: 1，请求发往OKX模拟盘
+class OkxPrivateClient {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey;
+        this.secret = options.secret;
+        this.passphrase = options.passphrase;
+        this.baseUrl = (options.baseUrl || 'https://www.okx.com').replace(/\/$/, '');
+        this.demo = options.demo !== false;
+        this.timeout = options.timeout || 10000;
+
+        if (!this.apiKey || !this.secret || !this.passphrase) {
+            throw new Error('缺少OKX API凭证: 需要 apiKey / secret / passphrase');
+        }
+    }
+
+    sign(timestamp, method, requestPath, body) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(`${timestamp}${method}${requestPath}${body}`)
+            .digest('base64');
+    }
+
+    // GET 的查询字符串属于 requestPath，参与签名
+    async request(method, path, { params, body } = {}) {
+        const query = params ? new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+        ).toString() : '';
+        const requestPath = `/api/v5${path}${query ? `?${query}` : ''}`;
+        const payload = body ? JSON.stringify(body) : '';
+        const timestamp = new Date().toISOString();
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'OK-ACCESS-KEY': this.apiKey,
+            'OK-ACCESS-SIGN': this.sign(timestamp, method, requestPath, payload),
+            'OK-ACCESS-TIMESTAMP': timestamp,
+            'OK-ACCESS-PASSPHRASE': this.passphrase
+        };
+        if (this.demo) headers['x-simulated-trading'] = '1';
+
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${requestPath}`,
+            data: payload || undefined,
+            headers,
+            timeout: this.timeout,
+            validateStatus: () => true
+        });
+        const data = response.data || {};
+
+        if (data.code !== '0') {
+            // 批量类接口的具体错误在 data[0].sMsg 中
+            const detail = Array.isArray(data.data) && data.data[0] && data.data[0].sMsg;
+            throw new Error(`OKX ${method} ${path} 失败: ${detail || data.msg || `HTTP ${response.status}`} (code ${data.code})`);
+        }
+
+        return data.data;
+    }
+
+    async getInstrument(instId) {
+        const instType = instId.endsWith('-SWAP') ? 'SWAP' : 'SPOT';
+        const data = await this.request('GET', '/public/instruments', { params: { instType, instId } });
+        if (!data[0]) throw new Error(`未找到交易产品: ${instId}`);
+        return data[0];
+    }
+
+    async placeOrder(order) {
+        const data = await this.request('POST', '/trade/order', { body: order });
+        return data[0];
+    }
+
+    async getOrder(instId, ordId) {
+        const data = await this.request('GET', '/trade/order', { params: { instId, ordId } });
+        return data[0];
+    }
+
+    async getFills(instId, begin) {
+        return this.request('GET', '/trade/fills', { params: { instId, begin } });
+    }
+
+    async getAlgoOrder(algoClOrdId) {
+        const data = await this.request('GET', '/trade/order-algo', { params: { algoClOrdId } });
+        return data[0];
+    }
+
+    async cancelAlgos(instId, algoClOrdIds) {
+        return this.request('POST', '/trade/cancel-algos', { body: algoClOrdIds.map(algoClOrdId => ({ instId, algoClOrdId })) });
+    }
+
+    async amendAlgo(instId, algoClOrdId, changes) {
+        const data = await this.request('POST', '/trade/amend-algos', { body: { instId, algoClOrdId, ...changes } });
+        return data[0];
+    }
+}
+
+// ==================== 下单执行与成交对账 ====================
+// 监听引擎事件：新信号 → 市价开仓并附带TP/SL；止损移动 → 修改未触发的止损；引擎平仓 → 撤单并市价平仓；
+// 定时查询订单与成交，把实际成交写回交易记录的 execution 字段
+class OrderExecutor {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.engines = options.engines;
+        this.bus = options.bus;
+        // 合约的保证金模式；现货一律按 cash 下单，现货不借币所以只做多
+        this.tdMode = options.tdMode || 'cross';
+        this.reconcileInterval = options.reconcileInterval || 5000;
+
+        this.instruments = new Map();   // instId -> 产品信息（下单精度）
+        this.timer = null;
+        this.reconciling = false;
+
+        this.onEvent = event => this.handleEvent(event);
+
+        if (!['cross', 'isolated'].includes(this.tdMode)) {
+            throw new Error(`不支持的保证金模式: ${this.tdMode}，合约需使用 cross 或 isolated`);
+        }
+    }
+
+    start() {
+        this.bus.on('event', this.onEvent);
+        this.timer = setInterval(() => this.reconcileAll(), this.reconcileInterval);
+        console.log(`💱 下单执行已启用: ${this.client.demo ? '模拟盘' : '实盘'} ${this.client.baseUrl} (合约 ${this.tdMode}，现货只做多)`);
+    }
+
+    stop() {
+        this.bus.off('event', this.onEvent);
+        clearInterval(this.timer);
+    }
+
+    // 不包含任何凭证，可直接返回给浏览器
+    status() {
+        const pending = [...this.engines.values()]
+            .reduce((count, engine) => count + this.openExecutions(engine).length, 0);
+
+        return {
+            enabled: true,
+            demo: this.client.demo,
+            baseUrl: this.client.baseUrl,
+            tdMode: this.tdMode,
+            pending
+        };
+    }
+
+    handleEvent(event) {
+        const engine = this.engines.get(event.symbol);
+        if (!engine) return;
+
+        if (event.type === 'signal' && event.data.status === 'active' && !event.data.execution) {
+            this.placeEntry(engine, event.data).catch(error => console.error('下单失败:', error.message));
+        } else if (event.type === 'stop_moved') {
+            this.amendStop(engine, event.data.trade).catch(error => console.error('修改止损失败:', error.message));
+        } else if (event.type === 'trade_closed') {
+            this.closePosition(engine, event.data.trade).catch(error => console.error('平仓失败:', error.message));
+        }
+    }
+
+    // ==================== 开仓 ====================
+
+    async placeEntry(engine, trade) {
+        const instId = trade.symbol;
+        const side = trade.action === 'BUY' ? 'buy' : 'sell';
+        const clOrdId = this.orderId('e');
+
+        trade.execution = {
+            mode: this.client.demo ? 'demo' : 'live',
+            instId,
+            side,
+            clOrdId,
+            ordId: null,
+            state: 'submitting',
+            sz: null,
+            avgPx: null,
+            filledSz: 0,
+            fee: 0,
+            algos: [],
+            exits: [],
+            error: null,
+            submittedAt: new Date().toISOString()
+        };
+
+        // 现货卖出等于卖出并不持有的币，交易所会拒绝；做空需使用 -SWAP 合约
+        if (!instId.endsWith('-SWAP') && side === 'sell') {
+            Object.assign(trade.execution, { state: 'skipped', error: '现货不支持开空，做空信号需使用 -SWAP 合约' });
+            console.warn(`💱 跳过现货做空信号: ${instId}`);
+            this.publish(engine, trade);
+            return;
+        }
+
+        try {
+            const instrument = await this.getInstrument(instId);
+            const sz = this.orderSize(trade, instrument);
+            const algos = this.attachedAlgos(engine, trade, sz, instrument);
+
+            const order = {
+                instId,
+                tdMode: instrument.instType === 'SPOT' ? 'cash' : this.tdMode,
+                side,
+                ordType: 'market',
+                sz,
+                clOrdId,
+                attachAlgoOrds: algos.map(algo => ({
+                    attachAlgoClOrdId: algo.algoClOrdId,
+                    tpTriggerPx: algo.tp,
+                    tpOrdPx: '-1',          // 触发后市价成交
+                    slTriggerPx: algo.sl,
+                    slOrdPx: '-1',
+                    ...(algo.sz ? { sz: algo.sz, amendPxOnTriggerType: '1' } : {})  // 分批止盈，首个TP触发后止损移到开仓价
+                }))
+            };
+
+            // 现货市价单默认按计价货币下单，统一按基础货币数量
+            if (instrument.instType === 'SPOT') order.tgtCcy = 'base_ccy';
+
+            const result = await this.client.placeOrder(order);
+
+            Object.assign(trade.execution, {
+                ordId: result.ordId,
+                state: 'live',
+                sz,
+                algos
+            });
+            console.log(`💱 已下单: ${instId} ${side} ${sz} (ordId ${result.ordId})`);
+        } catch (error) {
+            Object.assign(trade.execution, { state: 'rejected', error: error.message });
+            console.error(`💱 下单被拒绝: ${instId} ${side}: ${error.message}`);
+        }
+
+        this.publish(engine, trade);
+    }
+
+    async getInstrument(instId) {
+        if (!this.instruments.has(instId)) {
+            this.instruments.set(instId, await this.client.getInstrument(instId));
+        }
+        return this.instruments.get(instId);
+    }
+
+    // 仓位金额(USDT) → 下单数量：现货为基础货币数量，合约为张数；按 lotSz 向下取整
+    orderSize(trade, instrument) {
+        const quantity = parseFloat(trade.positionSize) / parseFloat(trade.price);
+        const contracts = instrument.instType === 'SPOT' ? quantity : quantity / parseFloat(instrument.ctVal || 1);
+        const sz = roundToStep(contracts, instrument.lotSz, Math.floor);
+
+        if (parseFloat(sz) < parseFloat(instrument.minSz || 0) || parseFloat(sz) <= 0) {
+            throw new Error(`下单数量 ${sz} 小于最小下单量 ${instrument.minSz}`);
+        }
+        return sz;
+    }
+
+    // TP1分批平仓时附带两组TP/SL（各自数量），否则一组覆盖全部仓位
+    attachedAlgos(engine, trade, sz, instrument) {
+        const fraction = engine.config.tp1CloseFraction;
+        const price = value => roundToStep(parseFloat(value), instrument.tickSz, Math.round);
+
+        if (!(fraction > 0 && fraction < 1)) {
+            return [{ algoClOrdId: this.orderId('a'), tp: price(trade.tp1), sl: price(trade.sl), sz: null }];
+        }
+
+        const firstSz = roundToStep(parseFloat(sz) * fraction, instrument.lotSz, Math.floor);
+        const restSz = roundToStep(parseFloat(sz) - parseFloat(firstSz), instrument.lotSz, Math.round);
+
+        return [
+            { algoClOrdId: this.orderId('a'), tp: price(trade.tp1), sl: price(trade.sl), sz: firstSz },
+            { algoClOrdId: this.orderId('a'), tp: price(trade.tp2), sl: price(trade.sl), sz: restSz }
+        ];
+    }
+
+    // 引擎止损上移（保本/移动止损）后同步到交易所未触发的止损单
+    async amendStop(engine, trade) {
+        const execution = trade.execution;
+        if (!execution || !['live', 'partially_filled', 'filled'].includes(execution.state)) return;
+
+        const instrument = await this.getInstrument(execution.instId);
+        const sl = roundToStep(parseFloat(trade.sl), instrument.tickSz, Math.round);
+
+        for (const algo of execution.algos) {
+            if (algo.done || algo.sl === sl) continue;
+
+            try {
+                await this.client.amendAlgo(execution.instId, algo.algoClOrdId, { newSlTriggerPx: sl, newSlOrdPx: '-1' });
+                algo.sl = sl;
+            } catch (error) {
+                // 已触发或已撤销的止盈止损单无法修改
+                algo.done = true;
+                console.warn(`💱 止损单 ${algo.algoClOrdId} 未修改: ${error.message}`);
+            }
+        }
+
+        this.publish(engine, trade);
+    }
+
+    // ==================== 平仓 ====================
+
+    // 引擎自己结束交易（移动止损、收盘价触及TP/SL、手动平仓）时，撤掉未触发的止盈止损并市价平掉剩余仓位
+    async closePosition(engine, trade) {
+        const execution = trade && trade.execution;
+        if (!execution || execution.closeClOrdId || !['live', 'partially_filled', 'filled'].includes(execution.state)) return;
+
+        execution.closeClOrdId = this.orderId('c');
+
+        // 先撤单再平仓，避免止盈止损和平仓单重复平仓
+        const pending = execution.algos.filter(algo => !algoFinished(algo));
+        if (pending.length > 0) {
+            try {
+                await this.client.cancelAlgos(execution.instId, pending.map(algo => algo.algoClOrdId));
+            } catch (error) {
+                // 部分止盈止损可能刚好已触发，下面的对账会记下它们的成交
+                console.warn(`💱 撤销止盈止损未全部成功: ${error.message}`);
+            }
+        }
+
+        await this.reconcile(engine, trade);
+        if (execution.state === 'closed') return;
+
+        const instrument = await this.getInstrument(execution.instId);
+        const exited = execution.exits.reduce((sum, exit) => sum + parseFloat(exit.sz), 0);
+        const sz = roundToStep((execution.heldSz ?? execution.filledSz) - exited, instrument.lotSz, Math.floor);
+        if (!(parseFloat(sz) > 0)) return;
+
+        const order = {
+            instId: execution.instId,
+            tdMode: instrument.instType === 'SPOT' ? 'cash' : this.tdMode,
+            side: execution.side === 'buy' ? 'sell' : 'buy',
+            ordType: 'market',
+            sz,
+            clOrdId: execution.closeClOrdId
+        };
+        // 合约只减仓，不会因为数量偏差反向开仓；现货卖出本身不会开空
+        if (instrument.instType === 'SPOT') order.tgtCcy = 'base_ccy';
+        else order.reduceOnly = true;
+
+        try {
+            const result = await this.client.placeOrder(order);
+            execution.closeOrdId = result.ordId;
+            console.log(`💱 已下平仓单: ${execution.instId} ${order.side} ${sz} (ordId ${result.ordId})`);
+        } catch (error) {
+            // 止盈止损已撤销，允许再次平仓
+            Object.assign(execution, { closeClOrdId: null, error: `平仓失败: ${error.message}` });
+            this.publish(engine, trade);
+            throw error;
+        }
+
+        // 市价单通常立即成交，马上对账以尽快结束交易
+        await this.reconcile(engine, trade);
+        this.publish(engine, trade);
+    }
+
+    // 手动平仓（Telegram /close）：交易所有持仓时由这里平仓，成交后才按手动平仓结束引擎中的交易
+    // 返回 false 表示这笔交易在交易所没有持仓，按模拟交易直接平仓即可
+    async closeManually(engine, trade) {
+        const execution = trade.execution;
+        if (!execution || !['live', 'partially_filled', 'filled'].includes(execution.state)) return false;
+
+        execution.closeReason = 'manual';
+        await this.closePosition(engine, trade);
+        return true;
+    }
+
+    // ==================== 对账 ====================
+
+    openExecutions(engine) {
+        const trades = [...engine.state.signalHistory, engine.state.activeTrade].filter(Boolean);
+        const unique = [...new Map(trades.map(trade => [trade.id, trade])).values()];
+
+        return unique.filter(trade => trade.execution && trade.execution.ordId &&
+            !['closed', 'canceled', 'rejected'].includes(trade.execution.state));
+    }
+
+    async reconcileAll() {
+        // 上一轮请求未完成时跳过，避免并发改写同一笔交易
+        if (this.reconciling) return;
+        this.reconciling = true;
+
+        try {
+            for (const engine of this.engines.values()) {
+                for (const trade of this.openExecutions(engine)) {
+                    await this.reconcile(engine, trade).catch(error =>
+                        console.error(`💱 对账失败 ${trade.id}: ${error.message}`));
+                }
+            }
+        } finally {
+            this.reconciling = false;
+        }
+    }
+
+    async reconcile(engine, trade) {
+        const execution = trade.execution;
+        if (execution.state === 'closed') return;   // 平仓时和定时对账可能同时进行
+        const before = JSON.stringify(execution);
+
+        // 开仓单成交情况
+        if (execution.state !== 'filled') {
+            const order = await this.client.getOrder(execution.instId, execution.ordId);
+
+            Object.assign(execution, {
+                state: order.state,
+                avgPx: order.avgPx || null,
+                filledSz: parseFloat(order.accFillSz) || 0,
+                // 现货买入的手续费从到手的币里扣，实际持有量要减掉
+                heldSz: (parseFloat(order.accFillSz) || 0) +
+                    (order.feeCcy === execution.instId.split('-')[0] ? parseFloat(order.fee) || 0 : 0),
+                fee: quoteFee(order.fee, order.feeCcy, order.avgPx, execution.instId),
+                filledAt: order.fillTime ? new Date(parseInt(order.fillTime)).toISOString() : null
+            });
+        }
+
+        // 只认附带的止盈止损单触发生成的订单和自己的平仓单，同一产品上的其他成交（手动交易、其他策略）不算平仓
+        if (execution.filledSz > 0) {
+            await this.refreshAlgos(execution);
+            const exitOrdIds = new Set(execution.algos.flatMap(algo => algo.ordIds || []));
+            if (execution.closeOrdId) exitOrdIds.add(execution.closeOrdId);
+            const begin = new Date(execution.filledAt || execution.submittedAt).getTime();
+            const fills = await this.client.getFills(execution.instId, begin);
+
+            execution.exits = fills
+                .filter(fill => exitOrdIds.has(fill.ordId) || (execution.closeClOrdId && fill.clOrdId === execution.closeClOrdId))
+                .map(fill => ({
+                    tradeId: fill.tradeId,
+                    ordId: fill.ordId,
+                    px: fill.fillPx,
+                    sz: fill.fillSz,
+                    fee: quoteFee(fill.fee, fill.feeCcy, fill.fillPx, execution.instId),
+                    time: new Date(parseInt(fill.ts)).toISOString()
+                }))
+                .sort((a, b) => a.time.localeCompare(b.time));
+
+            const exitSz = execution.exits.reduce((sum, exit) => sum + parseFloat(exit.sz), 0);
+            // 平仓单按下单精度向下取整，成交后剩下的零头不再等待
+            const closeFilled = execution.closeOrdId && execution.exits.some(exit => exit.ordId === execution.closeOrdId);
+            if (closeFilled || exitSz >= (execution.heldSz ?? execution.filledSz) * 0.999) {
+                this.closeExecution(engine, trade, exitSz);
+            }
+        }
+
+        if (JSON.stringify(execution) !== before) {
+            this.publish(engine, trade);
+        }
+    }
+
+    // 查询附带的止盈止损单，触发后记下它生成的平仓订单ID和触发的是止盈还是止损（actualSide: tp/sl）
+    async refreshAlgos(execution) {
+        for (const algo of execution.algos) {
+            if (algoFinished(algo)) continue;
+
+            const order = await this.client.getAlgoOrder(algo.algoClOrdId);
+            if (!order) continue;
+
+            algo.state = order.state;
+            algo.ordIds = (order.ordIdList || [order.ordId]).filter(Boolean);
+            algo.actualSide = order.actualSide || null;
+        }
+    }
+
+    // 交易所仓位已全部平仓：记录实际盈亏；引擎尚未结束这笔交易时按最后成交价结束
+    closeExecution(engine, trade, exitSz) {
+        const execution = trade.execution;
+        const entry = parseFloat(execution.avgPx);
+        const exitAvg = execution.exits.reduce((sum, exit) => sum + parseFloat(exit.px) * parseFloat(exit.sz), 0) / exitSz;
+        const direction = execution.side === 'buy' ? 1 : -1;
+        const fees = execution.fee + execution.exits.reduce((sum, exit) => sum + exit.fee, 0);
+
+        Object.assign(execution, {
+            state: 'closed',
+            exitAvgPx: exitAvg.toFixed(8),
+            // 合约的数量为张数，盈亏需乘以面值
+            realizedPnl: ((exitAvg - entry) * direction * exitSz *
+                parseFloat((this.instruments.get(execution.instId) || {}).ctVal || 1) + fees).toFixed(4)
+        });
+        console.log(`💱 交易所已平仓: ${execution.instId} 均价 ${execution.exitAvgPx}, 实际盈亏 ${execution.realizedPnl}`);
+
+        if (engine.state.activeTrade !== trade) return;
+
+        const lastExit = execution.exits[execution.exits.length - 1];
+        const lastPx = parseFloat(lastExit.px);
+        // 按实际成交的止盈止损单判断：分批时第 i 组对应 TP(i+1)，只有一组时为 TP1；不能按价格推断，跳空越过TP2也只挂了TP1
+        const hitTp = algo => algo.actualSide ? algo.actualSide === 'tp' : (lastPx - parseFloat(algo.tp)) * direction >= 0;
+        const filledBy = ordId => execution.algos.find(algo => (algo.ordIds || []).includes(ordId));
+        const tpLevels = execution.algos.map((algo, i) =>
+            execution.exits.some(exit => filledBy(exit.ordId) === algo) && hitTp(algo) ? (execution.algos.length > 1 ? i + 1 : 1) : 0);
+        const lastAlgo = filledBy(lastExit.ordId);
+
+        if (execution.closeReason === 'manual') {
+            engine.completeTrade('manual', 0, lastPx);
+        } else if (lastAlgo && hitTp(lastAlgo)) {
+            engine.completeTrade('win', Math.max(...tpLevels), lastPx);
+        } else {
+            engine.completeTrade('loss', 0, lastPx);
+        }
+    }
+
+    // ==================== 工具 ====================
+
+    publish(engine, trade) {
+        engine.saveData();
+        engine.publish('execution', { trade });
+    }
+
+    // OKX 客户自定义ID: 字母数字，最长32位
+    orderId(prefix) {
+        return `${prefix}${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+    }
+}
+
+// OKX手续费为负数；现货买入的手续费以基础货币收取，按成交价折算成计价货币
+function quoteFee(fee, feeCcy, px, instId) {
+    const amount = parseFloat(fee) || 0;
+    return feeCcy && feeCcy === instId.split('-')[0] ? amount * parseFloat(px || 0) : amount;
+}
+
+// 止盈止损单已触发或已撤销，不会再有新的平仓成交
+function algoFinished(algo) {
+    return (algo.ordIds && algo.ordIds.length > 0) || ['canceled', 'order_failed'].includes(algo.state);
+}
+
+// 按交易所精度取整，返回字符串（保留精度位数，避免浮点误差）
+function roundToStep(value, step, round = Math.round) {
+    const stepNum = parseFloat(step);
+    if (!(stepNum > 0)) return String(value);
+
+    const decimals = (String(step).split('.')[1] || '').length;
+    return (round(value / stepNum + 1e-9) * stepNum).toFixed(decimals);
+}
+
+module.exports = { OkxPrivateClient, OrderExecutor };
@@ -0,0 +1,137 @@
+const { WebSocketServer } = require('ws');
+
+// ==================== 本地模拟 OKX WebSocket 行情 ====================
+// 实现行情模块用到的 OKX v5 WebSocket 子集，用于在本地联调和测试 market-data.js：
+//   订阅: { op: 'subscribe', args: [{ channel, instId }] }，回复 { event: 'subscribe', arg }
+//   心跳: 收到文本 'ping' 回复 'pong'（respondToPing 为 false 时不回复，用于测试心跳超时）
+//   推送: push(channel, instId, data) 发给订阅了该频道的连接；drop() 断开所有连接，用于测试重连
+// 同一个端口同时充当 public 和 business 地址（路径不影响行为）
+// 用法: node fake-okx-ws.js（端口 FAKE_OKX_WS_PORT，默认8092），每秒推送随机游走的 tickers 和 candle15m
+//       服务端设置 OKX_WS_PUBLIC=ws://localhost:8092/ws/v5/public OKX_WS_BUSINESS=ws://localhost:8092/ws/v5/business
+//       REST兜底可指向 mock-exchange.js: OKX_REST_BASE=http://localhost:8090/api/v5
+
+const BASE_PRICES = { BTC: 60000, ETH: 3000, SOL: 150 };
+
+function createFakeOkxSocket(options = {}) {
+    const wss = new WebSocketServer({ port: options.port ?? 0 });   // 端口为0时随机分配
+    const received = [];        // 收到的订阅等请求（不含 ping）
+    let pings = 0;
+
+    const fake = {
+        wss,
+        received,
+        respondToPing: options.respondToPing !== false,
+        get pings() { return pings; },
+        get port() { return wss.address().port; },
+        // 订阅了 channel + instId 的连接数
+        subscribers(channel, instId) {
+            return [...wss.clients].filter(ws => ws.subscriptions.has(`${channel}:${instId}`)).length;
+        },
+        push,
+        drop,
+        close
+    };
+
+    wss.on('connection', (ws, req) => {
+        ws.path = req.url;
+        ws.subscriptions = new Set();
+
+        ws.on('message', raw => {
+            const text = raw.toString();
+
+            if (text === 'ping') {
+                pings++;
+                if (fake.respondToPing) ws.send('pong');
+                return;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                ws.send(JSON.stringify({ event: 'error', code: '60012', msg: `Invalid request: ${text}` }));
+                return;
+            }
+            received.push({ path: ws.path, ...message });
+
+            if (message.op === 'subscribe' || message.op === 'unsubscribe') {
+                (message.args || []).forEach(arg => {
+                    const key = `${arg.channel}:${arg.instId}`;
+                    if (message.op === 'subscribe') ws.subscriptions.add(key);
+                    else ws.subscriptions.delete(key);
+                    ws.send(JSON.stringify({ event: message.op, arg, connId: 'fake' }));
+                });
+            } else {
+                ws.send(JSON.stringify({ event: 'error', code: '60012', msg: `Invalid request: ${text}` }));
+            }
+        });
+    });
+
+    // 与OKX推送格式一致: { arg: { channel, instId }, data: [...] }
+    function push(channel, instId, data) {
+        const payload = JSON.stringify({ arg: { channel, instId }, data });
+        let count = 0;
+
+        wss.clients.forEach(ws => {
+            if (ws.readyState === ws.OPEN && ws.subscriptions.has(`${channel}:${instId}`)) {
+                ws.send(payload);
+                count++;
+            }
+        });
+        return count;
+    }
+
+    // 模拟网络中断（不发送关闭帧）
+    function drop() {
+        wss.clients.forEach(ws => ws.terminate());
+    }
+
+    function close() {
+        drop();
+        return new Promise(resolve => wss.close(() => resolve()));
+    }
+
+    return fake;
+}
+
+// 随机游走的行情，供命令行模式持续推送
+function startRandomFeed(fake, interval = 1000) {
+    const markets = new Map();   // instId -> { price, candle }
+    const bar = 15 * 60000;
+
+    return setInterval(() => {
+        const instIds = new Set();
+        fake.wss.clients.forEach(ws => ws.subscriptions.forEach(key => instIds.add(key.split(':')[1])));
+
+        instIds.forEach(instId => {
+            const market = markets.get(instId) || { price: BASE_PRICES[instId.split('-')[0]] || 100, candle: null };
+            const price = market.price * (1 + (Math.random() - 0.5) * 0.002);
+            const bucket = Math.floor(Date.now() / bar) * bar;
+
+            if (!market.candle || market.candle.timestamp !== bucket) {
+                market.candle = { timestamp: bucket, open: market.price, high: market.price, low: market.price };
+            }
+            market.candle.high = Math.max(market.candle.high, price);
+            market.candle.low = Math.min(market.candle.low, price);
+            market.price = price;
+            markets.set(instId, market);
+
+            const { timestamp, open, high, low } = market.candle;
+            fake.push('tickers', instId, [{ instId, last: price.toFixed(2), ts: String(Date.now()) }]);
+            fake.push('candle15m', instId, [[
+                String(timestamp), open.toFixed(2), high.toFixed(2), low.toFixed(2), price.toFixed(2), '1', '0', '0', '0'
+            ]]);
+        });
+    }, interval);
+}
+
+if (require.main === module) {
+    const fake = createFakeOkxSocket({ port: parseInt(process.env.FAKE_OKX_WS_PORT, 10) || 8092 });
+
+    fake.wss.on('listening', () => {
+        console.log(`🧪 模拟OKX WebSocket运行在 ws://localhost:${fake.port}`);
+    });
+    startRandomFeed(fake);
+}
+
+module.exports = { createFakeOkxSocket, startRandomFeed };
@@ -0,0 +1,117 @@
+const express = require('express');
+
+// ==================== 本地模拟 Telegram Bot API ====================
+// 实现命令机器人用到的 Bot API 子集，用于在本地联调 Telegram 命令：
+//   Bot API: /bot<token>/getUpdates（支持 offset 和长轮询 timeout）、/bot<token>/sendMessage
+//   控制: POST /fake/message { chatId, text } 模拟用户发送消息
+//         GET /fake/sent?chatId= 查看机器人发出的消息
+// 用法: FAKE_TELEGRAM_TOKEN=t node fake-telegram.js
+//       服务端设置 TELEGRAM_BOT_TOKEN=t TELEGRAM_API_BASE=http://localhost:8091 TELEGRAM_ALLOWED_CHATS=1001
+
+function createFakeTelegram(options = {}) {
+    const token = options.token || 'fake-token';
+    const maxWait = options.maxWait ?? 30;
+
+    const updates = [];
+    const sent = [];
+    const waiters = new Set();
+    let nextUpdateId = 1;
+    let nextMessageId = 1;
+
+    const app = express();
+    app.use(express.json());
+
+    const ok = result => ({ ok: true, result });
+    const fail = (res, code, description) => res.status(code).json({ ok: false, error_code: code, description });
+
+    function pending(offset) {
+        return updates.filter(update => update.update_id >= offset);
+    }
+
+    function pushUpdate(chatId, text) {
+        const update = {
+            update_id: nextUpdateId++,
+            message: {
+                message_id: nextMessageId++,
+                date: Math.floor(Date.now() / 1000),
+                chat: { id: chatId, type: 'private' },
+                from: { id: chatId, is_bot: false, first_name: 'tester' },
+                text
+            }
+        };
+        updates.push(update);
+
+        // 唤醒挂起的 getUpdates
+        waiters.forEach(wake => wake());
+        return update;
+    }
+
+    // 与 Telegram 相同，token 错误返回 401，未实现的方法返回 404
+    app.post('/bot:token/:method', (req, res) => {
+        if (req.params.token !== token) return fail(res, 401, 'Unauthorized');
+
+        const params = { ...req.query, ...(req.body || {}) };
+
+        if (req.params.method === 'getUpdates') {
+            const offset = parseInt(params.offset, 10) || 0;
+            // 带 offset 请求视为确认之前的更新
+            while (updates.length > 0 && updates[0].update_id < offset) updates.shift();
+
+            const wait = Math.min(parseInt(params.timeout, 10) || 0, maxWait);
+            if (pending(offset).length > 0 || wait === 0) return res.json(ok(pending(offset)));
+
+            const finish = () => {
+                clearTimeout(timer);
+                waiters.delete(finish);
+                res.json(ok(pending(offset)));
+            };
+            const timer = setTimeout(finish, wait * 1000);
+            waiters.add(finish);
+            res.on('close', () => {
+                clearTimeout(timer);
+                waiters.delete(finish);
+            });
+            return;
+        }
+
+        if (req.params.method === 'sendMessage') {
+            if (!params.chat_id || !params.text) return fail(res, 400, 'Bad Request: chat_id and text are required');
+
+            const message = {
+                message_id: nextMessageId++,
+                date: Math.floor(Date.now() / 1000),
+                chat: { id: params.chat_id, type: 'private' },
+                text: params.text
+            };
+            sent.push(message);
+            return res.json(ok(message));
+        }
+
+        fail(res, 404, 'Not Found');
+    });
+
+    app.post('/fake/message', (req, res) => {
+        const { chatId, text } = req.body || {};
+        if (chatId === undefined || !text) return res.status(400).json({ error: 'chatId 和 text 必填' });
+
+        res.json(pushUpdate(chatId, text));
+    });
+
+    app.get('/fake/sent', (req, res) => {
+        const chatId = req.query.chatId;
+        res.json(chatId ? sent.filter(message => String(message.chat.id) === String(chatId)) : sent);
+    });
+
+    return { app, pushUpdate, updates, sent };
+}
+
+if (require.main === module) {
+    const telegram = createFakeTelegram({ token: process.env.FAKE_TELEGRAM_TOKEN });
+    const PORT = process.env.FAKE_TELEGRAM_PORT || 8091;
+
+    telegram.app.listen(PORT, () => {
+        console.log(`🧪 模拟Telegram运行在 http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { createFakeTelegram };
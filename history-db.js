@@ -0,0 +1,182 @@
+// ==================== 交易历史库（IndexedDB） ====================
+// 浏览器中不限条数地保存所有交易（信号历史只保留最近20条），按 id 去重
+// 没有 IndexedDB（Node环境、隐私模式）时退回内存存储，接口相同
+// 查询: 按交易对 + 开仓时间范围走索引，方向/结果/策略筛选、排序和分页在内存中完成
+
+const HISTORY_DB_NAME = 'trading_history';
+const HISTORY_STORE = 'trades';
+
+// 结果筛选对应的交易状态
+const HISTORY_OUTCOMES = {
+    tp1: ['hit_tp1'],
+    tp2: ['hit_tp2'],
+    sl: ['hit_sl'],
+    trail: ['hit_trail'],
+    manual: ['closed_manual'],
+    active: ['active']
+};
+
+// 可排序的列
+const HISTORY_SORT_KEYS = {
+    timestamp: trade => new Date(trade.timestamp).getTime(),
+    action: trade => trade.action,
+    price: trade => parseFloat(trade.price),
+    tp: trade => parseFloat(trade.tp1) || -Infinity,
+    status: trade => trade.status,
+    strategy: trade => trade.strategy || '',
+    pnl: trade => trade.pnl === null || trade.pnl === undefined ? -Infinity : parseFloat(trade.pnl)
+};
+
+// 开仓时间统一为 ISO 字符串（索引和范围筛选按字符串比较）；毫秒/秒时间戳和可解析的本地时间字符串都会转换，无法解析时返回null
+function normalizeTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    let time = typeof value === 'number' || /^\d+$/.test(String(value).trim()) ? Number(value) : Date.parse(value);
+    if (time < 1e11) time *= 1000;   // 秒级时间戳
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+let historyDbPromise = null;
+const memoryHistory = new Map();
+
+function historyDbAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openHistoryDb() {
+    if (!historyDbPromise) {
+        historyDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(HISTORY_DB_NAME, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+                store.createIndex('symbol_time', ['symbol', 'timestamp']);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return historyDbPromise;
+}
+
+async function saveHistoryTrades(trades) {
+    const valid = trades
+        .filter(trade => trade && trade.id && trade.symbol && normalizeTimestamp(trade.timestamp))
+        .map(trade => ({ ...trade, timestamp: normalizeTimestamp(trade.timestamp) }));
+    if (valid.length === 0) return 0;
+
+    if (!historyDbAvailable()) {
+        valid.forEach(trade => memoryHistory.set(trade.id, trade));
+        return valid.length;
+    }
+
+    const db = await openHistoryDb();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    valid.forEach(trade => tx.objectStore(HISTORY_STORE).put(trade));
+
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+    return valid.length;
+}
+
+// from/to 为 ISO 时间字符串（含端点），为空则不限
+async function loadHistoryTrades(symbol, from = '', to = '') {
+    const inRange = trade => trade.symbol === symbol &&
+        (!from || trade.timestamp >= from) && (!to || trade.timestamp <= to);
+
+    if (!historyDbAvailable()) {
+        return [...memoryHistory.values()].filter(inRange);
+    }
+
+    const db = await openHistoryDb();
+    const range = IDBKeyRange.bound([symbol, from || ''], [symbol, to || '\uffff']);
+    const index = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).index('symbol_time');
+    return requestToPromise(index.getAll(range));
+}
+
+async function getHistoryTrade(id) {
+    if (!historyDbAvailable()) return memoryHistory.get(id) || null;
+
+    const db = await openHistoryDb();
+    const trade = await requestToPromise(db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).get(id));
+    return trade || null;
+}
+
+async function clearHistoryTrades(symbol) {
+    const trades = await loadHistoryTrades(symbol);
+
+    if (!historyDbAvailable()) {
+        trades.forEach(trade => memoryHistory.delete(trade.id));
+        return trades.length;
+    }
+
+    const db = await openHistoryDb();
+    const tx = db.transaction(HISTORY_STORE, 'readwrite');
+    trades.forEach(trade => tx.objectStore(HISTORY_STORE).delete(trade.id));
+
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+    return trades.length;
+}
+
+// 筛选 + 排序 + 分页（纯函数）
+function filterHistory(trades, query = {}) {
+    const { side, outcome, strategy, sortBy = 'timestamp', sortDir = 'desc', page = 1, pageSize = 20 } = query;
+
+    const filtered = trades.filter(trade =>
+        (!side || trade.action === side) &&
+        (!outcome || (HISTORY_OUTCOMES[outcome] || []).includes(trade.status)) &&
+        (!strategy || trade.strategy === strategy));
+
+    const key = HISTORY_SORT_KEYS[sortBy] || HISTORY_SORT_KEYS.timestamp;
+    const direction = sortDir === 'asc' ? 1 : -1;
+    filtered.sort((a, b) => {
+        const va = key(a);
+        const vb = key(b);
+        return (va > vb ? 1 : va < vb ? -1 : 0) * direction;
+    });
+
+    const pages = Math.max(1, Math.ceil(filtered.length / pageSize));
+    const current = Math.min(Math.max(1, page), pages);
+
+    return {
+        total: filtered.length,
+        page: current,
+        pages,
+        trades: filtered.slice((current - 1) * pageSize, current * pageSize)
+    };
+}
+
+async function queryHistoryTrades(symbol, query = {}) {
+    const trades = await loadHistoryTrades(symbol, query.from, query.to);
+    return filterHistory(trades, query);
+}
+
+const tradeHistoryDb = {
+    isPersistent: historyDbAvailable,
+    save: saveHistoryTrades,
+    query: queryHistoryTrades,
+    all: symbol => loadHistoryTrades(symbol),
+    get: getHistoryTrade,
+    clear: clearHistoryTrades,
+    filter: filterHistory,
+    normalizeTimestamp,
+    outcomes: Object.keys(HISTORY_OUTCOMES),
+    sortKeys: Object.keys(HISTORY_SORT_KEYS)
+};
+
+// Node环境导出（服务端引擎中为内存存储），浏览器中为全局变量
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { tradeHistoryDb };
+}
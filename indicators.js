@@ -0,0 +1,289 @@
+// ==================== 技术指标库 ====================
+// 纯函数，输入按时间升序的收盘价数组或K线数组 { timestamp, open, high, low, close, volume }
+// 序列函数（sma/ema）返回与输入等长的数组，数据不足的位置为 null；其余函数返回最新一根的值，数据不足时返回 null
+
+function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) result[i] = sum / period;
+    }
+
+    return result;
+}
+
+// 以前 period 个值的SMA作为初始值
+function ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    if (values.length < period) return result;
+
+    const k = 2 / (period + 1);
+    let value = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    result[period - 1] = value;
+
+    for (let i = period; i < values.length; i++) {
+        value = values[i] * k + value * (1 - k);
+        result[i] = value;
+    }
+
+    return result;
+}
+
+// Wilder平滑：首值为前 period 个的平均，之后 (prev * (period - 1) + x) / period
+function wilderSmooth(values, period) {
+    const result = new Array(values.length).fill(null);
+    if (values.length < period) return result;
+
+    let value = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    result[period - 1] = value;
+
+    for (let i = period; i < values.length; i++) {
+        value = (value * (period - 1) + values[i]) / period;
+        result[i] = value;
+    }
+
+    return result;
+}
+
+function last(series) {
+    const value = series[series.length - 1];
+    return value === undefined ? null : value;
+}
+
+// Wilder RSI：需要 period + 1 个收盘价（period 个涨跌幅）
+function rsi(closes, period = 14) {
+    if (closes.length <= period) return null;
+
+    const gains = [];
+    const losses = [];
+    for (let i = 1; i < closes.length; i++) {
+        const change = closes[i] - closes[i - 1];
+        gains.push(Math.max(change, 0));
+        losses.push(Math.max(-change, 0));
+    }
+
+    const avgGain = last(wilderSmooth(gains, period));
+    const avgLoss = last(wilderSmooth(losses, period));
+
+    if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+    return 100 - (100 / (1 + avgGain / avgLoss));
+}
+
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+    const fastEma = ema(closes, fast);
+    const slowEma = ema(closes, slow);
+
+    const line = closes.map((_, i) => fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null);
+    const valid = line.filter(v => v !== null);
+    if (valid.length < signalPeriod) return null;
+
+    const signal = last(ema(valid, signalPeriod));
+    const value = last(valid);
+
+    return { macd: value, signal, histogram: value - signal };
+}
+
+function bollinger(closes, period = 20, multiplier = 2) {
+    if (closes.length < period) return null;
+
+    const recent = closes.slice(-period);
+    const middle = recent.reduce((a, b) => a + b, 0) / period;
+    // 总体标准差（与常见行情软件一致）
+    const deviation = Math.sqrt(recent.reduce((sum, v) => sum + Math.pow(v - middle, 2), 0) / period);
+    const upper = middle + multiplier * deviation;
+    const lower = middle - multiplier * deviation;
+    const price = closes[closes.length - 1];
+
+    return {
+        middle,
+        upper,
+        lower,
+        bandwidth: middle > 0 ? (upper - lower) / middle : 0,
+        percentB: upper > lower ? (price - lower) / (upper - lower) : 0.5
+    };
+}
+
+// %K = (收盘 - N周期最低) / (N周期最高 - N周期最低)，%D 为 %K 的 dPeriod 均线
+function stochastic(candles, period = 14, dPeriod = 3) {
+    if (candles.length < period + dPeriod - 1) return null;
+
+    const kValues = [];
+    for (let i = period - 1; i < candles.length; i++) {
+        const window = candles.slice(i - period + 1, i + 1);
+        const highest = Math.max(...window.map(c => c.high));
+        const lowest = Math.min(...window.map(c => c.low));
+        kValues.push(highest > lowest ? (candles[i].close - lowest) / (highest - lowest) * 100 : 50);
+    }
+
+    return { k: last(kValues), d: last(sma(kValues, dPeriod)) };
+}
+
+function trueRanges(candles) {
+    const result = [];
+    for (let i = 1; i < candles.length; i++) {
+        const { high, low } = candles[i];
+        const prevClose = candles[i - 1].close;
+        result.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+    }
+    return result;
+}
+
+// Wilder ATR：真实波幅的Wilder平滑，需要 period + 1 根K线
+function atr(candles, period = 14) {
+    if (candles.length <= period) return null;
+    return last(wilderSmooth(trueRanges(candles), period));
+}
+
+// Wilder ADX：需要约 2 * period 根K线
+function adx(candles, period = 14) {
+    if (candles.length < period * 2 + 1) return null;
+
+    const plusDM = [];
+    const minusDM = [];
+    for (let i = 1; i < candles.length; i++) {
+        const up = candles[i].high - candles[i - 1].high;
+        const down = candles[i - 1].low - candles[i].low;
+        plusDM.push(up > down && up > 0 ? up : 0);
+        minusDM.push(down > up && down > 0 ? down : 0);
+    }
+
+    const tr = wilderSmooth(trueRanges(candles), period);
+    const plus = wilderSmooth(plusDM, period);
+    const minus = wilderSmooth(minusDM, period);
+
+    const plusDI = [];
+    const minusDI = [];
+    const dx = [];
+    for (let i = period - 1; i < tr.length; i++) {
+        const p = tr[i] > 0 ? plus[i] / tr[i] * 100 : 0;
+        const m = tr[i] > 0 ? minus[i] / tr[i] * 100 : 0;
+        plusDI.push(p);
+        minusDI.push(m);
+        dx.push(p + m > 0 ? Math.abs(p - m) / (p + m) * 100 : 0);
+    }
+
+    return {
+        adx: last(wilderSmooth(dx, period)),
+        plusDI: last(plusDI),
+        minusDI: last(minusDI)
+    };
+}
+
+// 按UTC日重置的成交量加权均价（典型价 (H+L+C)/3）
+function vwap(candles) {
+    if (candles.length === 0) return null;
+
+    const dayStart = Math.floor(candles[candles.length - 1].timestamp / 86400000) * 86400000;
+    const session = candles.filter(c => c.timestamp >= dayStart);
+
+    let volume = 0;
+    let value = 0;
+    session.forEach(c => {
+        volume += c.volume || 0;
+        value += (c.high + c.low + c.close) / 3 * (c.volume || 0);
+    });
+
+    return volume > 0 ? value / volume : null;
+}
+
+// ==================== 成交量指标 ====================
+
+// 能量潮（OBV）序列：收盘上涨累加成交量，下跌累减
+function obv(candles) {
+    const result = [];
+    let value = 0;
+
+    candles.forEach((c, i) => {
+        if (i > 0 && c.close > candles[i - 1].close) value += c.volume || 0;
+        if (i > 0 && c.close < candles[i - 1].close) value -= c.volume || 0;
+        result.push(value);
+    });
+
+    return result;
+}
+
+// 相对成交量：第 index 根K线成交量 / 之前 period 根的平均成交量
+function relativeVolume(candles, period = 20, index = candles.length - 1) {
+    if (index < period) return null;
+
+    const average = candles.slice(index - period, index).reduce((sum, c) => sum + (c.volume || 0), 0) / period;
+    return average > 0 ? (candles[index].volume || 0) / average : null;
+}
+
+// 成交量分布：每根K线的成交量按高低点区间均匀分摊到各价格区间
+// 返回各区间成交量、成交量最大的价格（POC）及包含 valueAreaPercent 成交量的价值区
+function volumeProfile(candles, binCount = 24, valueAreaPercent = 0.7) {
+    if (candles.length === 0) return null;
+
+    const high = Math.max(...candles.map(c => c.high));
+    const low = Math.min(...candles.map(c => c.low));
+    const size = (high - low) / binCount;
+    if (!(size > 0)) return null;
+
+    const bins = Array.from({ length: binCount }, (_, i) => ({ low: low + i * size, high: low + (i + 1) * size, volume: 0 }));
+
+    candles.forEach(c => {
+        const volume = c.volume || 0;
+        if (volume <= 0) return;
+
+        const range = c.high - c.low;
+        bins.forEach(bin => {
+            if (range <= 0) {
+                if (c.close >= bin.low && (c.close < bin.high || bin.high === high)) bin.volume += volume;
+                return;
+            }
+            const overlap = Math.min(c.high, bin.high) - Math.max(c.low, bin.low);
+            if (overlap > 0) bin.volume += volume * overlap / range;
+        });
+    });
+
+    const total = bins.reduce((sum, bin) => sum + bin.volume, 0);
+    if (total <= 0) return null;
+
+    // 价值区：从POC向成交量较大的一侧逐个扩展
+    const pocIndex = bins.reduce((best, bin, i) => bin.volume > bins[best].volume ? i : best, 0);
+    let lowIndex = pocIndex;
+    let highIndex = pocIndex;
+    let covered = bins[pocIndex].volume;
+
+    while (covered < total * valueAreaPercent && (lowIndex > 0 || highIndex < binCount - 1)) {
+        const below = lowIndex > 0 ? bins[lowIndex - 1].volume : -1;
+        const above = highIndex < binCount - 1 ? bins[highIndex + 1].volume : -1;
+        if (above >= below) covered += bins[++highIndex].volume;
+        else covered += bins[--lowIndex].volume;
+    }
+
+    return {
+        bins,
+        poc: (bins[pocIndex].low + bins[pocIndex].high) / 2,
+        valueAreaLow: bins[lowIndex].low,
+        valueAreaHigh: bins[highIndex].high
+    };
+}
+
+// 成交量加权支撑阻力：当前价下方/上方成交量最大的价格区间（取区间中点），没有则为 null
+function volumeLevels(profile, price) {
+    if (!profile) return { support: null, resistance: null };
+
+    const strongest = bins => bins.reduce((best, bin) => !best || bin.volume > best.volume ? bin : best, null);
+    const below = strongest(profile.bins.filter(bin => bin.high <= price && bin.volume > 0));
+    const above = strongest(profile.bins.filter(bin => bin.low >= price && bin.volume > 0));
+
+    return {
+        support: below ? (below.low + below.high) / 2 : null,
+        resistance: above ? (above.low + above.high) / 2 : null
+    };
+}
+
+const technicalIndicators = {
+    sma, ema, wilderSmooth, rsi, macd, bollinger, stochastic, atr, adx, vwap,
+    obv, relativeVolume, volumeProfile, volumeLevels
+};
+
+// Node环境导出（服务端引擎/回测使用），浏览器中为全局变量
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { technicalIndicators };
+}
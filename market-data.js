@@ -0,0 +1,302 @@
+const { EventEmitter } = require('events');
+const axios = require('axios');
+
+// 未注入 WebSocket 实现时使用 ws 包，未安装时给出明确的错误
+function loadWebSocket() {
+    try {
+        return require('ws');
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error('行情连接需要依赖 ws，请先运行 npm install');
+    }
+}
+
+// ==================== OKX WebSocket连接 ====================
+// 单条连接：心跳、断线退避重连、重连后自动重新订阅
+class OkxSocket extends EventEmitter {
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.WebSocket = options.WebSocket || loadWebSocket();
+        this.pingInterval = options.pingInterval || 25000;   // OKX 30秒无消息会断开
+        this.pongTimeout = options.pongTimeout || 10000;
+        this.minBackoff = options.minBackoff || 1000;
+        this.maxBackoff = options.maxBackoff || 30000;
+
+        this.ws = null;
+        this.subscriptions = [];
+        this.backoff = this.minBackoff;
+        this.connected = false;
+        this.stopped = true;
+        this.timers = { ping: null, pong: null, reconnect: null };
+    }
+
+    connect() {
+        this.stopped = false;
+        this.ws = new this.WebSocket(this.url);
+
+        this.ws.on('open', () => {
+            this.connected = true;
+            this.backoff = this.minBackoff;
+            console.log(`🔌 WebSocket已连接: ${this.url}`);
+
+            if (this.subscriptions.length > 0) {
+                this.send({ op: 'subscribe', args: this.subscriptions });
+            }
+
+            this.startHeartbeat();
+            this.emit('open');
+        });
+
+        this.ws.on('message', raw => {
+            clearTimeout(this.timers.pong);
+            const text = raw.toString();
+            if (text === 'pong') return;
+
+            try {
+                const message = JSON.parse(text);
+
+                if (message.event === 'error') {
+                    console.error('WebSocket订阅错误:', message.msg);
+                    return;
+                }
+
+                if (message.data) {
+                    this.emit('message', message);
+                }
+            } catch (error) {
+                console.error('WebSocket消息解析失败:', error);
+            }
+        });
+
+        this.ws.on('close', () => this.handleClose());
+        this.ws.on('error', error => {
+            console.error(`WebSocket错误: ${error.message}`);
+        });
+    }
+
+    handleClose() {
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.stopHeartbeat();
+        this.ws = null;
+
+        if (wasConnected) {
+            this.emit('close');
+        }
+
+        if (this.stopped) return;
+
+        // 指数退避重连
+        const delay = this.backoff;
+        this.backoff = Math.min(this.backoff * 2, this.maxBackoff);
+        console.log(`🔄 WebSocket断开，${delay / 1000}秒后重连: ${this.url}`);
+        this.timers.reconnect = setTimeout(() => this.connect(), delay);
+    }
+
+    subscribe(args) {
+        this.subscriptions.push(...args);
+
+        if (this.connected) {
+            this.send({ op: 'subscribe', args });
+        }
+    }
+
+    send(payload) {
+        if (!this.ws || !this.connected) return;
+        this.ws.send(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+
+        this.timers.ping = setInterval(() => {
+            this.send('ping');
+
+            // 超时未收到pong，强制断开触发重连
+            clearTimeout(this.timers.pong);
+            this.timers.pong = setTimeout(() => {
+                console.warn(`WebSocket心跳超时: ${this.url}`);
+                if (this.ws) this.ws.terminate();
+            }, this.pongTimeout);
+        }, this.pingInterval);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.timers.ping);
+        clearTimeout(this.timers.pong);
+    }
+
+    close() {
+        this.stopped = true;
+        this.stopHeartbeat();
+        clearTimeout(this.timers.reconnect);
+
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+}
+
+// ==================== 行情数据模块 ====================
+// tickers 走 public 频道，K线走 business 频道；连接断开时回退到REST
+class OkxMarketData extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = {
+            symbols: ['BTC-USDT'],
+            bar: '15m',
+            publicUrl: 'wss://ws.okx.com:8443/ws/v5/public',
+            businessUrl: 'wss://ws.okx.com:8443/ws/v5/business',
+            restBase: 'https://www.okx.com/api/v5',
+            staleAfter: 30000,      // 超过30秒未更新视为行情过期
+            maxCandles: 300
+        };
+
+        // 未指定的选项保留默认值
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined) this.options[key] = value;
+        });
+
+        const socketOptions = {
+            WebSocket: this.options.WebSocket,
+            pingInterval: this.options.pingInterval,
+            pongTimeout: this.options.pongTimeout,
+            minBackoff: this.options.minBackoff,
+            maxBackoff: this.options.maxBackoff
+        };
+
+        this.publicSocket = new OkxSocket(this.options.publicUrl, socketOptions);
+        this.businessSocket = new OkxSocket(this.options.businessUrl, socketOptions);
+
+        // 最新行情缓存
+        this.tickers = new Map();   // instId -> { ticker, receivedAt }
+        this.candles = new Map();   // instId -> [candle]
+
+        this.publicSocket.on('message', message => this.handleMessage(message));
+        this.businessSocket.on('message', message => this.handleMessage(message));
+
+        [this.publicSocket, this.businessSocket].forEach(socket => {
+            socket.on('open', () => this.emit('status', this.status()));
+            socket.on('close', () => this.emit('status', this.status()));
+        });
+    }
+
+    start() {
+        const { symbols, bar } = this.options;
+
+        this.publicSocket.subscribe(symbols.map(instId => ({ channel: 'tickers', instId })));
+        this.businessSocket.subscribe(symbols.map(instId => ({ channel: `candle${bar}`, instId })));
+
+        this.publicSocket.connect();
+        this.businessSocket.connect();
+    }
+
+    stop() {
+        this.publicSocket.close();
+        this.businessSocket.close();
+    }
+
+    status() {
+        return {
+            tickers: this.publicSocket.connected,
+            candles: this.businessSocket.connected
+        };
+    }
+
+    handleMessage(message) {
+        const { channel, instId } = message.arg || {};
+        if (!channel || !instId) return;
+
+        if (channel === 'tickers') {
+            message.data.forEach(ticker => {
+                this.tickers.set(instId, { ticker, receivedAt: Date.now() });
+                this.emit('ticker', instId, ticker);
+            });
+        } else if (channel === `candle${this.options.bar}`) {
+            message.data.forEach(row => {
+                const candle = this.parseCandle(row);
+                this.mergeCandle(instId, candle);
+                this.emit('candle', instId, candle, row[8] === '1');
+            });
+        }
+    }
+
+    parseCandle(candle) {
+        return {
+            timestamp: parseInt(candle[0]),
+            open: parseFloat(candle[1]),
+            high: parseFloat(candle[2]),
+            low: parseFloat(candle[3]),
+            close: parseFloat(candle[4]),
+            volume: parseFloat(candle[5])
+        };
+    }
+
+    // 只在已有REST历史数据的基础上更新，保证K线连续
+    mergeCandle(instId, candle) {
+        const list = this.candles.get(instId);
+        if (!list || list.length === 0) return;
+
+        const last = list[list.length - 1];
+        if (candle.timestamp === last.timestamp) {
+            list[list.length - 1] = candle;
+        } else if (candle.timestamp > last.timestamp) {
+            list.push(candle);
+            if (list.length > this.options.maxCandles) list.shift();
+        }
+    }
+
+    // ==================== 查询接口（WebSocket优先，REST兜底） ====================
+
+    async getTicker(instId) {
+        const cached = this.tickers.get(instId);
+
+        if (this.publicSocket.connected && cached &&
+            Date.now() - cached.receivedAt < this.options.staleAfter) {
+            return cached.ticker;
+        }
+
+        const response = await axios.get(`${this.options.restBase}/market/ticker`, {
+            params: { instId }
+        });
+        const data = response.data;
+
+        if (data.code !== '0' || !data.data || !data.data[0]) {
+            throw new Error('API响应格式错误');
+        }
+
+        this.tickers.set(instId, { ticker: data.data[0], receivedAt: Date.now() });
+        return data.data[0];
+    }
+
+    async getCandles(instId, bar = this.options.bar, limit = 30) {
+        const cached = this.candles.get(instId);
+
+        if (bar === this.options.bar && this.businessSocket.connected &&
+            cached && cached.length >= limit) {
+            return cached.slice(-limit);
+        }
+
+        const response = await axios.get(`${this.options.restBase}/market/candles`, {
+            params: { instId, bar, limit }
+        });
+        const data = response.data;
+
+        if (data.code !== '0' || !data.data) {
+            throw new Error('K线数据格式错误');
+        }
+
+        const candles = data.data.map(candle => this.parseCandle(candle)).reverse();
+        this.emit('candles', instId, bar, candles);
+
+        // REST数据作为WebSocket增量更新的基础
+        if (bar === this.options.bar && (!cached || candles.length >= cached.length)) {
+            this.candles.set(instId, candles.slice());
+        }
+
+        return candles;
+    }
+}
+
+module.exports = { OkxSocket, OkxMarketData };
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// ==================== 本地模拟交易所 ====================
+// 实现执行层用到的 OKX v5 接口子集，用于在本地联调下单、附带TP/SL和对账：
+//   行情: /market/ticker /market/candles /public/instruments（价格随机游走）
+//   交易: /trade/order /trade/order-algo /trade/fills /trade/amend-algos /trade/cancel-algos（校验签名和模拟盘请求头）
+//   控制: POST /mock/price { instId, price } 把价格拨到指定值，触发止盈止损
+// 用法: OKX_API_KEY=k OKX_API_SECRET=s OKX_API_PASSPHRASE=p node mock-exchange.js
+//       服务端设置 EXECUTION=true API_TOKEN=<任意Token> OKX_PRIVATE_BASE=http://localhost:8090 OKX_REST_BASE=http://localhost:8090/api/v5
+
+const BASE_PRICES = { BTC: 60000, ETH: 3000, SOL: 150 };
+const SWAP_CT_VAL = 0.01;   // 合约面值：1张 = 0.01 个基础货币
+
+function createMockExchange(options = {}) {
+    const credentials = {
+        apiKey: options.apiKey || 'mock-key',
+        secret: options.secret || 'mock-secret',
+        passphrase: options.passphrase || 'mock-passphrase'
+    };
+    const requireDemo = options.requireDemo !== false;
+    const feeRate = options.feeRate ?? 0.0005;
+
+    const markets = new Map();   // instId -> { price, candles }
+    const orders = new Map();    // ordId -> order
+    const algos = [];            // 附带的止盈止损单
+    const fills = [];
+    let nextId = 1;
+
+    function market(instId) {
+        if (!markets.has(instId)) {
+            const price = BASE_PRICES[instId.split('-')[0]] || 100;
+            const bar = 15 * 60000;
+            const start = Math.floor(Date.now() / bar) * bar - 299 * bar;
+
+            // 预生成300根15分钟K线作为历史
+            const candles = [];
+            let close = price;
+            for (let i = 0; i < 300; i++) {
+                const open = close;
+                close = open * (1 + (Math.random() - 0.5) * 0.006);
+                candles.push({
+                    timestamp: start + i * bar,
+                    open,
+                    high: Math.max(open, close) * (1 + Math.random() * 0.002),
+                    low: Math.min(open, close) * (1 - Math.random() * 0.002),
+                    close,
+                    volume: 10 + Math.random() * 90
+                });
+            }
+
+            markets.set(instId, { price: close, candles });
+        }
+        return markets.get(instId);
+    }
+
+    // 更新价格：并入最新K线，并检查止盈止损
+    function setPrice(instId, price) {
+        const m = market(instId);
+        const bar = 15 * 60000;
+        const bucket = Math.floor(Date.now() / bar) * bar;
+        const last = m.candles[m.candles.length - 1];
+
+        if (last.timestamp === bucket) {
+            last.high = Math.max(last.high, price);
+            last.low = Math.min(last.low, price);
+            last.close = price;
+        } else {
+            m.candles.push({ timestamp: bucket, open: m.price, high: Math.max(m.price, price), low: Math.min(m.price, price), close: price, volume: 0 });
+            if (m.candles.length > 300) m.candles.shift();
+        }
+
+        m.price = price;
+        checkAlgos(instId, price);
+    }
+
+    function addFill(order, side, px, sz) {
+        const base = order.instId.split('-')[0];
+        // 现货买入手续费按基础货币收取
+        const feeCcy = order.instId.endsWith('-SWAP') || side === 'sell' ? 'USDT' : base;
+        // 合约数量为张数，名义价值需乘以面值
+        const notional = px * sz * (order.instId.endsWith('-SWAP') ? SWAP_CT_VAL : 1);
+        const fee = -(feeCcy === 'USDT' ? notional : sz) * feeRate;
+
+        const fill = {
+            instId: order.instId,
+            tradeId: String(nextId++),
+            ordId: order.ordId,
+            clOrdId: order.clOrdId || '',
+            side,
+            fillPx: String(px),
+            fillSz: String(sz),
+            fee: String(fee),
+            feeCcy,
+            ts: String(Date.now())
+        };
+        fills.push(fill);
+        return fill;
+    }
+
+    function checkAlgos(instId, price) {
+        algos.filter(algo => algo.instId === instId && algo.state === 'live').forEach(algo => {
+            const direction = algo.side === 'sell' ? 1 : -1;   // 平多为卖出
+            const hitTp = algo.tpTriggerPx && (price - parseFloat(algo.tpTriggerPx)) * direction >= 0;
+            const hitSl = algo.slTriggerPx && (parseFloat(algo.slTriggerPx) - price) * direction >= 0;
+            if (!hitTp && !hitSl) return;
+
+            const exit = { instId, ordId: String(nextId++), clOrdId: '', side: algo.side, sz: algo.sz, state: 'filled' };
+            const fill = addFill(exit, algo.side, price, parseFloat(algo.sz));
+            orders.set(exit.ordId, { ...exit, avgPx: String(price), accFillSz: algo.sz, fee: fill.fee, feeCcy: fill.feeCcy, fillTime: fill.ts });
+
+            algo.state = 'effective';
+            algo.ordIdList = [exit.ordId];
+            algo.actualSide = hitTp ? 'tp' : 'sl';
+            console.log(`🧪 模拟交易所: ${algo.algoClOrdId} ${algo.actualSide.toUpperCase()} 触发 @ ${price}`);
+
+            // 分批止盈的首个TP触发后，其余止损移到开仓均价
+            if (hitTp && algo.amendPxOnTriggerType === '1') {
+                const entry = orders.get(algo.ordId);
+                algos.filter(other => other.ordId === algo.ordId && other.state === 'live')
+                    .forEach(other => { other.slTriggerPx = entry.avgPx; });
+            }
+        });
+    }
+
+    // ==================== 签名校验 ====================
+
+    function authenticate(req, res, next) {
+        const timestamp = req.get('OK-ACCESS-TIMESTAMP');
+        const expected = crypto.createHmac('sha256', credentials.secret)
+            .update(`${timestamp}${req.method}${req.originalUrl}${req.rawBody || ''}`)
+            .digest('base64');
+
+        if (req.get('OK-ACCESS-KEY') !== credentials.apiKey || req.get('OK-ACCESS-PASSPHRASE') !== credentials.passphrase) {
+            return res.json({ code: '50113', msg: 'Invalid Sign', data: [] });
+        }
+        if (req.get('OK-ACCESS-SIGN') !== expected) {
+            return res.json({ code: '50113', msg: 'Invalid Sign', data: [] });
+        }
+        if (requireDemo && req.get('x-simulated-trading') !== '1') {
+            return res.json({ code: '50101', msg: 'APIKey does not match current environment.', data: [] });
+        }
+        next();
+    }
+
+    const ok = data => ({ code: '0', msg: '', data });
+
+    // ==================== 路由 ====================
+
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString(); } }));
+
+    app.get('/api/v5/market/ticker', (req, res) => {
+        const { instId } = req.query;
+        res.json(ok([{ instId, last: String(market(instId).price), ts: String(Date.now()) }]));
+    });
+
+    app.get('/api/v5/market/candles', (req, res) => {
+        const { instId, limit = 100 } = req.query;
+        const rows = market(instId).candles.slice(-parseInt(limit)).reverse().map(c => [
+            String(c.timestamp), String(c.open), String(c.high), String(c.low), String(c.close), String(c.volume), '0', '0', '1'
+        ]);
+        res.json(ok(rows));
+    });
+
+    app.get('/api/v5/public/instruments', (req, res) => {
+        const { instId, instType } = req.query;
+        res.json(ok([{ instId, instType, lotSz: '0.0001', minSz: '0.0001', tickSz: '0.01', ctVal: instType === 'SWAP' ? String(SWAP_CT_VAL) : '' }]));
+    });
+
+    app.post('/api/v5/trade/order', authenticate, (req, res) => {
+        const body = req.body;
+        if (body.ordType !== 'market') {
+            return res.json({ code: '1', msg: '', data: [{ sCode: '51000', sMsg: '模拟交易所只支持市价单' }] });
+        }
+        if (body.instId.endsWith('-SWAP') === (body.tdMode === 'cash')) {
+            return res.json({ code: '1', msg: '', data: [{ sCode: '51000', sMsg: `Parameter tdMode error: ${body.tdMode}` }] });
+        }
+
+        const px = market(body.instId).price;
+        const order = {
+            instId: body.instId,
+            ordId: String(nextId++),
+            clOrdId: body.clOrdId || '',
+            side: body.side,
+            sz: body.sz,
+            state: 'filled',
+            avgPx: String(px),
+            accFillSz: body.sz
+        };
+        const fill = addFill(order, body.side, px, parseFloat(body.sz));
+        Object.assign(order, { fee: fill.fee, feeCcy: fill.feeCcy, fillTime: fill.ts });
+        orders.set(order.ordId, order);
+
+        (body.attachAlgoOrds || []).forEach(attach => algos.push({
+            instId: body.instId,
+            ordId: order.ordId,
+            algoId: String(nextId++),
+            algoClOrdId: attach.attachAlgoClOrdId,
+            side: body.side === 'buy' ? 'sell' : 'buy',
+            sz: attach.sz || body.sz,
+            tpTriggerPx: attach.tpTriggerPx,
+            slTriggerPx: attach.slTriggerPx,
+            amendPxOnTriggerType: attach.amendPxOnTriggerType,
+            state: 'live'
+        }));
+
+        console.log(`🧪 模拟交易所: ${body.side} ${body.sz} ${body.instId} @ ${px}`);
+        res.json(ok([{ ordId: order.ordId, clOrdId: order.clOrdId, sCode: '0', sMsg: '' }]));
+    });
+
+    app.get('/api/v5/trade/order', authenticate, (req, res) => {
+        const order = orders.get(req.query.ordId);
+        if (!order) return res.json({ code: '51603', msg: 'Order does not exist', data: [] });
+        res.json(ok([order]));
+    });
+
+    app.get('/api/v5/trade/fills', authenticate, (req, res) => {
+        const begin = parseInt(req.query.begin) || 0;
+        res.json(ok(fills
+            .filter(fill => fill.instId === req.query.instId && parseInt(fill.ts) >= begin)
+            .reverse()));
+    });
+
+    // 触发后 ordIdList 为生成的平仓订单
+    app.get('/api/v5/trade/order-algo', authenticate, (req, res) => {
+        const algo = algos.find(a => a.algoClOrdId === req.query.algoClOrdId || a.algoId === req.query.algoId);
+        if (!algo) return res.json({ code: '51603', msg: 'Order does not exist', data: [] });
+        res.json(ok([{ ...algo, ordIdList: algo.ordIdList || [] }]));
+    });
+
+    app.post('/api/v5/trade/amend-algos', authenticate, (req, res) => {
+        const algo = algos.find(a => a.algoClOrdId === req.body.algoClOrdId);
+        if (!algo || algo.state !== 'live') {
+            return res.json({ code: '1', msg: '', data: [{ sCode: '51000', sMsg: 'Algo order does not exist or is not live' }] });
+        }
+
+        if (req.body.newSlTriggerPx) algo.slTriggerPx = req.body.newSlTriggerPx;
+        if (req.body.newTpTriggerPx) algo.tpTriggerPx = req.body.newTpTriggerPx;
+        res.json(ok([{ algoClOrdId: algo.algoClOrdId, sCode: '0', sMsg: '' }]));
+    });
+
+    app.post('/api/v5/trade/cancel-algos', authenticate, (req, res) => {
+        const results = (req.body || []).map(item => {
+            const algo = algos.find(a => a.algoClOrdId === item.algoClOrdId || a.algoId === item.algoId);
+            if (!algo || algo.state !== 'live') {
+                return { algoClOrdId: item.algoClOrdId, sCode: '51000', sMsg: 'Algo order does not exist or is not live' };
+            }
+            algo.state = 'canceled';
+            return { algoClOrdId: algo.algoClOrdId, sCode: '0', sMsg: '' };
+        });
+
+        // 与OKX一致: 全部失败 code 1，部分失败 code 2
+        const failed = results.filter(r => r.sCode !== '0').length;
+        res.json({ code: failed === 0 ? '0' : failed === results.length ? '1' : '2', msg: '', data: results });
+    });
+
+    app.post('/mock/price', (req, res) => {
+        const { instId, price } = req.body || {};
+        setPrice(instId, parseFloat(price));
+        res.json({ instId, price: market(instId).price, algos: algos.filter(a => a.instId === instId) });
+    });
+
+    // 价格随机游走
+    function tick() {
+        markets.forEach((m, instId) => setPrice(instId, m.price * (1 + (Math.random() - 0.5) * 0.002)));
+    }
+
+    return { app, tick, setPrice, orders, algos, fills };
+}
+
+if (require.main === module) {
+    const exchange = createMockExchange({
+        apiKey: process.env.OKX_API_KEY,
+        secret: process.env.OKX_API_SECRET,
+        passphrase: process.env.OKX_API_PASSPHRASE
+    });
+    const PORT = process.env.MOCK_PORT || 8090;
+
+    setInterval(exchange.tick, 1000);
+    exchange.app.listen(PORT, () => {
+        console.log(`🧪 模拟交易所运行在 http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { createMockExchange };
@@ -0,0 +1,109 @@
+// ==================== 通知事件与消息模板 ====================
+// 服务端渲染后发往各通知渠道，浏览器渲染后用于 Notification API，两边使用同一份模板
+// 模板中的 {{字段}} 用事件数据替换，缺少的字段替换为空
+// 服务端配置可按事件覆盖模板: { templates: { signal: { title, text } } }
+
+const NOTIFY_EVENTS = {
+    signal: '新信号',
+    tp_hit: '止盈达成',
+    sl_hit: '止损触发',
+    closed: '其他平仓',
+    error: '系统错误'
+};
+
+const DEFAULT_TEMPLATES = {
+    signal: {
+        title: '🚨 {{symbol}} 新信号: {{actionText}}',
+        text: [
+            '方向: {{actionText}}',
+            '入场价: ${{price}}',
+            '止盈价: ${{tp}}',
+            '止损价: ${{sl}}',
+            '风险回报比: {{riskReward}}:1',
+            '信心指数: {{confidence}}%',
+            '',
+            '分析理由: {{reason}}',
+            '',
+            '⏰ {{time}} | ID: {{id}}'
+        ].join('\n')
+    },
+    tp_hit: {
+        title: '✅ {{symbol}} 止盈达成 {{pnlPercent}}%',
+        text: [
+            '信号: {{action}}',
+            '入场价: ${{price}}',
+            '出场价: ${{exitPrice}}',
+            '盈亏: {{pnlPercent}}%',
+            '持续时间: {{duration}}',
+            '',
+            '{{reason}}',
+            '',
+            '⏰ {{time}} | ID: {{id}}'
+        ].join('\n')
+    },
+    sl_hit: {
+        title: '❌ {{symbol}} 止损触发 {{pnlPercent}}%',
+        text: [
+            '信号: {{action}}',
+            '入场价: ${{price}}',
+            '出场价: ${{exitPrice}}',
+            '盈亏: {{pnlPercent}}%',
+            '持续时间: {{duration}}',
+            '',
+            '{{reason}}',
+            '',
+            '⏰ {{time}} | ID: {{id}}'
+        ].join('\n')
+    },
+    closed: {
+        title: '⚠️ {{symbol}} 平仓 {{pnlPercent}}%',
+        text: [
+            '信号: {{action}}',
+            '入场价: ${{price}}',
+            '出场价: ${{exitPrice}}',
+            '盈亏: {{pnlPercent}}%',
+            '持续时间: {{duration}}',
+            '',
+            '{{reason}}',
+            '',
+            '⏰ {{time}} | ID: {{id}}'
+        ].join('\n')
+    },
+    error: {
+        title: '🛑 系统错误',
+        text: '{{message}}\n\n交易对: {{symbol}}\n⏰ {{time}}'
+    }
+};
+
+function renderTemplate(template, data = {}) {
+    return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) =>
+        data[key] === undefined || data[key] === null ? '' : String(data[key]));
+}
+
+// 只认自有的事件名，'constructor' 等原型属性不算
+function isNotifyEvent(event) {
+    return Object.prototype.hasOwnProperty.call(NOTIFY_EVENTS, event);
+}
+
+// overrides 为 { [event]: { title, text } }，只覆盖给出的部分
+function renderNotification(event, data = {}, overrides = {}) {
+    const template = { ...DEFAULT_TEMPLATES[event], ...(overrides[event] || {}) };
+
+    return {
+        title: renderTemplate(template.title, data).trim(),
+        text: renderTemplate(template.text, data).trim()
+    };
+}
+
+const notificationTemplates = {
+    events: NOTIFY_EVENTS,
+    defaults: DEFAULT_TEMPLATES,
+    isEvent: isNotifyEvent,
+    render: renderNotification,
+    renderTemplate
+};
+
+// Node环境导出（服务端通知），浏览器中为全局变量
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { notificationTemplates };
+}
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { notificationTemplates } = require('./notification-templates.js');
+const { BROWSER_CHANNEL } = require('./notify-channels.js');
+
+// ==================== 通知发送队列 ====================
+// 浏览器通过 POST /api/notify 提交事件（新信号、止盈、止损、系统错误），服务端按事件路由到各渠道发送
+// 每个渠道各自投递：失败的留在队列中按指数退避重试，队列写入文件，重启后继续发送
+// 投递状态: queued（等待重试）→ sent | failed（请求本身有误或重试次数用完）
+// 通知的整体状态: 全部渠道送达为 sent，仍有渠道在重试为 queued，否则为 failed
+class Notifier {
+    constructor(channels, options = {}) {
+        this.channels = channels;                       // 渠道id -> 渠道（notify-channels.js）
+        this.routes = options.routes || {};             // 事件 -> 渠道id列表，未配置的事件发往所有渠道和浏览器
+        this.templates = options.templates || {};       // 按事件覆盖的消息模板
+        this.file = options.file || null;
+        this.retryDelay = options.retryDelay || 10000;
+        this.maxRetryDelay = options.maxRetryDelay || 600000;
+        this.maxAttempts = options.maxAttempts || 20;
+        this.checkInterval = options.checkInterval || 5000;
+        this.historyLimit = options.historyLimit || 500;
+
+        this.notifications = new Map();   // id -> 通知，按提交顺序
+        this.sending = new Set();         // 正在发送的 `${通知id}:${渠道id}`
+        this.nextId = 1;
+        this.timer = null;
+
+        this.load();
+    }
+
+    // 有服务端渠道，或有事件路由到浏览器（只用浏览器通知也算已配置）
+    isConfigured() {
+        return this.channels.size > 0 ||
+            Object.keys(notificationTemplates.events).some(event => this.route(event).includes(BROWSER_CHANNEL));
+    }
+
+    // 事件路由到的渠道id（含 'browser'）
+    route(event) {
+        const routes = Object.prototype.hasOwnProperty.call(this.routes, event) ? this.routes[event] : null;
+        return Array.isArray(routes) ? routes : [...this.channels.keys(), BROWSER_CHANNEL];
+    }
+
+    // 路由到 Telegram 且指定的 chat 不在白名单中时返回 false
+    isChatAllowed(event, chatId) {
+        const telegram = this.channels.get('telegram');
+        if (!chatId || !telegram || !this.route(event).includes('telegram')) return true;
+        return !!telegram.resolveChat(chatId);
+    }
+
+    start() {
+        // 只有服务端渠道需要排队重试，浏览器通知由页面自己展示
+        if (this.timer || this.channels.size === 0) return;
+
+        const pending = this.pending().length;
+        if (pending > 0) console.log(`📮 通知队列中有 ${pending} 条待发送`);
+        this.timer = setInterval(() => this.processQueue(), this.checkInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // 按事件模板渲染后立即向各渠道发送一次
+    async notify({ event, data = {}, chatId = null, tradeId = null }) {
+        const rendered = notificationTemplates.render(event, data, this.templates);
+        const notification = {
+            id: `ntf_${Date.now()}_${this.nextId++}`,
+            event,
+            tradeId,
+            chatId: chatId ? String(chatId) : null,
+            title: rendered.title,
+            text: rendered.text,
+            data,
+            createdAt: new Date().toISOString(),
+            deliveries: this.route(event)
+                .filter(channel => channel !== BROWSER_CHANNEL && this.channels.has(channel))
+                .map(channel => ({
+                    channel,
+                    status: 'queued',
+                    attempts: 0,
+                    lastError: null,
+                    sentAt: null,
+                    nextAttemptAt: Date.now()
+                }))
+        };
+
+        this.notifications.set(notification.id, notification);
+        await Promise.all(notification.deliveries.map(delivery => this.attempt(notification, delivery)));
+        this.trim();
+        this.save();
+        return this.describe(notification);
+    }
+
+    async attempt(notification, delivery) {
+        const key = `${notification.id}:${delivery.channel}`;
+        const channel = this.channels.get(delivery.channel);
+
+        // 重启后配置中已删除的渠道
+        if (!channel) {
+            delivery.status = 'failed';
+            delivery.lastError = '渠道已不存在';
+            return;
+        }
+
+        this.sending.add(key);
+        delivery.attempts++;
+
+        try {
+            await channel.send({
+                event: notification.event,
+                title: notification.title,
+                text: notification.text,
+                data: notification.data
+            }, { chatId: notification.chatId });
+            delivery.status = 'sent';
+            delivery.sentAt = new Date().toISOString();
+            delivery.lastError = null;
+            console.log(`📮 通知已发送: ${notification.id} → ${delivery.channel}`);
+        } catch (error) {
+            delivery.lastError = error.message;
+
+            if (error.permanent || delivery.attempts >= this.maxAttempts) {
+                delivery.status = 'failed';
+                console.error(`📮 通知发送失败: ${notification.id} → ${delivery.channel}`, error.message);
+            } else {
+                const delay = error.retryAfter ? error.retryAfter * 1000 :
+                    Math.min(this.retryDelay * Math.pow(2, delivery.attempts - 1), this.maxRetryDelay);
+                delivery.nextAttemptAt = Date.now() + delay;
+                console.warn(`📮 通知发送失败，${Math.round(delay / 1000)}秒后重试: ${notification.id} → ${delivery.channel}`, error.message);
+            }
+        } finally {
+            this.sending.delete(key);
+        }
+    }
+
+    async processQueue() {
+        const due = this.pending().filter(({ notification, delivery }) =>
+            delivery.nextAttemptAt <= Date.now() && !this.sending.has(`${notification.id}:${delivery.channel}`));
+        if (due.length === 0) return;
+
+        for (const { notification, delivery } of due) {
+            await this.attempt(notification, delivery);
+        }
+        this.save();
+    }
+
+    pending() {
+        return [...this.notifications.values()].flatMap(notification => notification.deliveries
+            .filter(delivery => delivery.status === 'queued')
+            .map(delivery => ({ notification, delivery })));
+    }
+
+    statusOf(notification) {
+        const statuses = notification.deliveries.map(delivery => delivery.status);
+        // 只路由到浏览器的事件没有服务端投递，视为已送达
+        if (statuses.every(status => status === 'sent')) return 'sent';
+        return statuses.includes('queued') ? 'queued' : 'failed';
+    }
+
+    // 返回给浏览器的通知（不含事件数据）
+    describe(notification) {
+        const { data, ...rest } = notification;
+        return { ...rest, status: this.statusOf(notification) };
+    }
+
+    get(id) {
+        const notification = this.notifications.get(id);
+        return notification ? this.describe(notification) : null;
+    }
+
+    // 通知服务状态：渠道、路由和模板（不含Token、Webhook地址等凭证）
+    status() {
+        const deliveries = [...this.notifications.values()].flatMap(notification => notification.deliveries);
+        const count = status => deliveries.filter(delivery => delivery.status === status).length;
+        const telegram = this.channels.get('telegram');
+
+        return {
+            configured: this.isConfigured(),
+            channels: [...this.channels].map(([id, channel]) => ({ id, type: channel.type })),
+            routes: Object.fromEntries(Object.keys(notificationTemplates.events).map(event => [event, this.route(event)])),
+            templates: Object.fromEntries(Object.keys(notificationTemplates.events).map(event =>
+                [event, { ...notificationTemplates.defaults[event], ...(this.templates[event] || {}) }])),
+            defaultChatId: telegram ? telegram.defaultChatId : null,
+            queued: count('queued'),
+            sent: count('sent'),
+            failed: count('failed')
+        };
+    }
+
+    // 只保留最近的已完成通知，仍在重试的全部保留
+    trim() {
+        const done = [...this.notifications.values()].filter(notification => this.statusOf(notification) !== 'queued');
+        done.slice(0, Math.max(0, done.length - this.historyLimit))
+            .forEach(notification => this.notifications.delete(notification.id));
+    }
+
+    // ==================== 持久化 ====================
+
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) return;
+
+        try {
+            const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            (parsed.notifications || []).forEach(notification => this.notifications.set(notification.id, notification));
+
+            // 旧格式（只有Telegram）的队列转换为单渠道通知
+            (parsed.deliveries || []).forEach(({ id, kind, tradeId, chatId, text, createdAt, ...delivery }) => {
+                this.notifications.set(id, {
+                    id,
+                    event: kind === 'result' ? 'closed' : 'signal',
+                    tradeId,
+                    chatId,
+                    title: '',
+                    text,
+                    data: {},
+                    createdAt,
+                    deliveries: [{
+                        channel: 'telegram',
+                        status: delivery.status,
+                        attempts: delivery.attempts,
+                        lastError: delivery.lastError,
+                        sentAt: delivery.sentAt,
+                        nextAttemptAt: delivery.nextAttemptAt
+                    }]
+                });
+            });
+        } catch (error) {
+            console.error('加载通知队列失败:', error);
+        }
+    }
+
+    save() {
+        if (!this.file) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(`${this.file}.tmp`, JSON.stringify({ notifications: [...this.notifications.values()] }, null, 2));
+            fs.renameSync(`${this.file}.tmp`, this.file);
+        } catch (error) {
+            console.error('保存通知队列失败:', error);
+        }
+    }
+}
+
+module.exports = { Notifier };
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+
+// ==================== 通知渠道 ====================
+// 渠道约定: send({ event, title, text, data }, { chatId }) 发送一条已渲染的通知，失败时抛出错误：
+//   error.permanent  为 true 表示请求本身有误（4xx，限流429除外），重试也不会成功
+//   error.retryAfter 为服务方要求的重试等待秒数
+// 浏览器通知（Notification API）由浏览器自己显示，服务端只把 'browser' 当作路由目标下发
+
+const BROWSER_CHANNEL = 'browser';
+
+function channelError(message, status, retryAfter) {
+    const error = new Error(message);
+    error.permanent = status >= 400 && status < 500 && status !== 429;
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+// 网络错误直接抛出（可重试），非2xx按状态码转换
+async function postJson(url, body, headers = {}) {
+    const response = await axios.post(url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        timeout: 10000,
+        validateStatus: () => true
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+        const retryAfter = parseFloat(response.headers['retry-after']) ||
+            (response.data && parseFloat(response.data.retry_after)) || undefined;
+        const detail = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+        throw channelError(`HTTP ${response.status}: ${String(detail).slice(0, 200)}`, response.status, retryAfter);
+    }
+    return response.data;
+}
+
+// 可选依赖在创建渠道时加载，未安装时给出明确的配置错误，而不是等到发送时才失败
+function requireDependency(name, purpose) {
+    try {
+        return require(name);
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error(`${purpose}需要依赖 ${name}，请先运行 npm install`);
+    }
+}
+
+// Telegram：发往请求指定的 chat（需在白名单中），未指定时发往默认chat
+class TelegramChannel {
+    constructor(client, options = {}) {
+        this.type = 'telegram';
+        this.client = client;
+        this.defaultChatId = options.chatId ? String(options.chatId) : null;
+        // 只允许发往服务端配置的chat，防止被用来给任意用户发消息
+        this.allowedChats = new Set([this.defaultChatId, ...(options.allowedChats || [])].filter(Boolean).map(String));
+    }
+
+    resolveChat(chatId) {
+        const target = chatId ? String(chatId) : this.defaultChatId;
+        return target && this.allowedChats.has(target) ? target : null;
+    }
+
+    async send(message, { chatId } = {}) {
+        const target = this.resolveChat(chatId);
+        if (!target) throw channelError(`chat 不在白名单中: ${chatId}`, 403);
+
+        try {
+            await this.client.sendMessage(target, [message.title, message.text].filter(Boolean).join('\n\n'));
+        } catch (error) {
+            throw channelError(error.message, error.status, error.retryAfter);
+        }
+    }
+}
+
+// Discord Webhook：标题放在 embed 中，按事件着色
+class DiscordChannel {
+    constructor(options = {}) {
+        if (!options.url) throw new Error('Discord 渠道缺少 url');
+        this.type = 'discord';
+        this.url = options.url;
+        this.username = options.username || undefined;
+    }
+
+    async send(message) {
+        const colors = { signal: 0x3b82f6, tp_hit: 0x22c55e, sl_hit: 0xef4444, closed: 0xeab308, error: 0xdc2626 };
+
+        await postJson(this.url, {
+            username: this.username,
+            embeds: [{
+                title: message.title.slice(0, 256),
+                description: message.text.slice(0, 4000),
+                color: colors[message.event] || 0x6b7280,
+                timestamp: new Date().toISOString()
+            }]
+        });
+    }
+}
+
+// Slack Incoming Webhook
+class SlackChannel {
+    constructor(options = {}) {
+        if (!options.url) throw new Error('Slack 渠道缺少 url');
+        this.type = 'slack';
+        this.url = options.url;
+    }
+
+    async send(message) {
+        await postJson(this.url, { text: `*${message.title}*\n${message.text}` });
+    }
+}
+
+// 通用JSON Webhook：设置 secret 时带签名头
+//   X-Notify-Timestamp: 毫秒时间戳
+//   X-Notify-Signature: sha256=hex(HMAC-SHA256(timestamp + '.' + body, secret))
+// 接收方按同样方式计算并比对，同时检查时间戳防重放
+class WebhookChannel {
+    constructor(options = {}) {
+        if (!options.url) throw new Error('Webhook 渠道缺少 url');
+        this.type = 'webhook';
+        this.url = options.url;
+        this.secret = options.secret || null;
+    }
+
+    sign(timestamp, body) {
+        return crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async send(message) {
+        const body = JSON.stringify({
+            event: message.event,
+            title: message.title,
+            text: message.text,
+            data: message.data || {},
+            timestamp: new Date().toISOString()
+        });
+
+        const headers = {};
+        if (this.secret) {
+            const timestamp = Date.now().toString();
+            headers['X-Notify-Timestamp'] = timestamp;
+            headers['X-Notify-Signature'] = `sha256=${this.sign(timestamp, body)}`;
+        }
+
+        // 传字符串保证发出的正文与签名内容一致
+        await postJson(this.url, body, headers);
+    }
+}
+
+// SMTP邮件（nodemailer），to 可为逗号分隔的多个地址
+class EmailChannel {
+    constructor(options = {}) {
+        if (!options.host || !options.from || !options.to) throw new Error('邮件渠道需要 host / from / to');
+        this.type = 'email';
+        this.from = options.from;
+        this.to = options.to;
+
+        const nodemailer = requireDependency('nodemailer', '邮件渠道');
+        this.transport = nodemailer.createTransport({
+            host: options.host,
+            port: options.port || 587,
+            secure: options.secure ?? options.port === 465,
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+    }
+
+    async send(message) {
+        try {
+            await this.transport.sendMail({
+                from: this.from,
+                to: this.to,
+                subject: message.title,
+                text: message.text
+            });
+        } catch (error) {
+            // SMTP 5xx 为永久错误（地址无效、认证失败等）
+            const failure = new Error(`SMTP发送失败: ${error.message}`);
+            failure.permanent = error.responseCode >= 500 || error.code === 'EAUTH';
+            throw failure;
+        }
+    }
+}
+
+const CHANNEL_TYPES = {
+    discord: DiscordChannel,
+    slack: SlackChannel,
+    webhook: WebhookChannel,
+    email: EmailChannel
+};
+
+// ==================== 配置 ====================
+// 服务端配置文件 data/notify.json:
+// {
+//   channels:  { [渠道id]: { type: 'discord' | 'slack' | 'webhook' | 'email', ...渠道参数 } },
+//   routes:    { [事件]: [渠道id, ...] }       // 可包含 'browser'；未配置的事件发往所有渠道和浏览器
+//   templates: { [事件]: { title, text } }
+// }
+// 也可用环境变量直接配置单个渠道: DISCORD_WEBHOOK_URL、SLACK_WEBHOOK_URL、
+// NOTIFY_WEBHOOK_URL + NOTIFY_WEBHOOK_SECRET、SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / SMTP_FROM / SMTP_TO
+function loadNotifyConfig(file, env = process.env) {
+    let config = {};
+    if (file && fs.existsSync(file)) {
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error('读取通知配置失败:', error.message);
+        }
+    }
+
+    const channels = { ...(config.channels || {}) };
+    if (env.DISCORD_WEBHOOK_URL) channels.discord = { type: 'discord', url: env.DISCORD_WEBHOOK_URL };
+    if (env.SLACK_WEBHOOK_URL) channels.slack = { type: 'slack', url: env.SLACK_WEBHOOK_URL };
+    if (env.NOTIFY_WEBHOOK_URL) {
+        channels.webhook = { type: 'webhook', url: env.NOTIFY_WEBHOOK_URL, secret: env.NOTIFY_WEBHOOK_SECRET };
+    }
+    if (env.SMTP_HOST) {
+        channels.email = {
+            type: 'email',
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT, 10) || undefined,
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS,
+            from: env.SMTP_FROM,
+            to: env.SMTP_TO
+        };
+    }
+
+    return {
+        channels,
+        routes: config.routes || {},
+        templates: config.templates || {}
+    };
+}
+
+// 按配置创建渠道；telegram 渠道由 Telegram 配置（Bot Token + chat）创建
+function createChannels(channelConfigs, { telegramClient = null, telegramConfig = {} } = {}) {
+    const channels = new Map();
+
+    if (telegramClient && (telegramConfig.chatId || (telegramConfig.allowedChats || []).length > 0)) {
+        channels.set('telegram', new TelegramChannel(telegramClient, telegramConfig));
+    }
+
+    Object.entries(channelConfigs).forEach(([id, options]) => {
+        const Channel = CHANNEL_TYPES[options.type];
+        if (id === BROWSER_CHANNEL || !Channel) {
+            console.error(`未知的通知渠道: ${id} (${options.type})`);
+            return;
+        }
+
+        try {
+            channels.set(id, new Channel(options));
+        } catch (error) {
+            console.error(`创建通知渠道 ${id} 失败:`, error.message);
+        }
+    });
+
+    return channels;
+}
+
+module.exports = {
+    BROWSER_CHANNEL,
+    TelegramChannel,
+    DiscordChannel,
+    SlackChannel,
+    WebhookChannel,
+    EmailChannel,
+    loadNotifyConfig,
+    createChannels
+};
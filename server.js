@@ -1,9 +1,174 @@
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
+const path = require('path');
+const { EngineEventBus, HeadlessTradingSystem } = require('./engine.js');
+const { OkxMarketData } = require('./market-data.js');
+const { tradingStrategies } = require('./strategies.js');
+const { SessionRecorder, SessionReplay } = require('./session.js');
+const { OkxPrivateClient, OrderExecutor } = require('./execution.js');
+const { TradeStore } = require('./store.js');
+const { TelegramClient, TelegramCommandBot, loadTelegramConfig } = require('./telegram.js');
+const { Notifier } = require('./notifier.js');
+const { loadNotifyConfig, createChannels } = require('./notify-channels.js');
+const { notificationTemplates } = require('./notification-templates.js');
+
+// ==================== 接口鉴权 ====================
+// 修改状态的接口（信号、配置、出入金、存储写入等）需要 Authorization: Bearer <API_TOKEN>，
+// 未设置 API_TOKEN 时这些接口一律拒绝；跨域只允许 CORS_ORIGIN 中列出的来源（逗号分隔），未设置时只允许同源
+// 服务端只提供接口，不提供页面文件：仪表盘（app.js）从其他地址打开时，在浏览器 localStorage 的 server_url
+// 中设置本服务地址（如 http://localhost:3000），并把页面来源加入 CORS_ORIGIN
+const API_TOKEN = process.env.API_TOKEN || null;
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+function requireToken(req, res, next) {
+    if (!API_TOKEN) {
+        return res.status(403).json({ error: '服务端未设置 API_TOKEN，修改类接口已禁用' });
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    const given = Buffer.from(match ? match[1].trim() : '');
+    const expected = Buffer.from(API_TOKEN);
+
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: '需要有效的 API Token' });
+    }
+    next();
+}
 
 const app = express();
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
+app.use(express.json());
+
+// 回放模式：REPLAY_FILE=data/sessions/xxx.jsonl REPLAY_SPEED=10，用录制的行情代替实时行情
+const replay = process.env.REPLAY_FILE ?
+    new SessionReplay(process.env.REPLAY_FILE, { speed: parseFloat(process.env.REPLAY_SPEED) || 1 }) : null;
+
+// 观察列表，每个交易对一个独立引擎（回放时使用录制时的交易对）
+const WATCHLIST = replay ? replay.options.symbols : (process.env.WATCHLIST || 'BTC-USDT,ETH-USDT,SOL-USDT')
+    .split(',')
+    .map(symbol => symbol.trim().toUpperCase())
+    .filter(Boolean);
+
+// OKX WebSocket行情（tickers + candle15m），断线时回退REST；OKX_WS_PUBLIC / OKX_WS_BUSINESS 可指向本地的 fake-okx-ws.js
+const marketData = replay || new OkxMarketData({
+    symbols: WATCHLIST,
+    publicUrl: process.env.OKX_WS_PUBLIC || undefined,
+    businessUrl: process.env.OKX_WS_BUSINESS || undefined,
+    restBase: process.env.OKX_REST_BASE || undefined
+});
+
+// 录制模式：RECORD_SESSION=true 时把实时行情写入 data/sessions/
+const recorder = !replay && process.env.RECORD_SESSION === 'true' ?
+    new SessionRecorder(marketData, path.join(__dirname, 'data', 'sessions',
+        `session-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`)) : null;
+
+// 服务端引擎（每个交易对独立的指标、活跃交易、冷却和历史），所有访问者共享同一份信号
+const bus = new EngineEventBus();
+// 默认信号策略，可在面板中按交易对切换
+const STRATEGY = tradingStrategies.has(process.env.STRATEGY) ? process.env.STRATEGY : 'rsi-sr';
+
+// 回放时不读写实盘引擎的状态文件
+const engines = new Map(WATCHLIST.map(symbol => [symbol, new HeadlessTradingSystem({ symbol, strategy: STRATEGY }, {
+    storeFile: replay ? null : path.join(__dirname, 'data', `engine-${symbol}.json`),
+    marketData,
+    bus
+})]));
+
+// 交易存储：全部信号/交易、统计和共享配置（回放时只保存在内存中）
+const store = new TradeStore(replay ? null : path.join(__dirname, 'data', 'store.json'));
+
+// 保存的共享配置应用到所有引擎（交易对自己的策略选择仍以引擎状态文件为准）
+engines.forEach(engine => Object.assign(engine.config, store.getConfig()));
+
+// 信号、成交和平仓都会带上交易记录，写入存储（合并写文件，退出前写完）
+bus.on('event', event => {
+    const { type, symbol, data } = event;
+    // 移动止损每个tick都可能触发，止损价随交易结束或下一次事件一起保存
+    if (type === 'stop_moved') return;
+
+    const trade = type === 'signal' ? data : data && data.trade;
+
+    if (trade && trade.id) store.saveTrades([trade]);
+    if (symbol && data && data.stats) store.saveStats(symbol, data.stats);
+});
+
+process.on('exit', () => store.flush());
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
+
+// 引擎时钟跟随回放时间，定时器按倍速缩短
+if (replay) {
+    engines.forEach(engine => {
+        engine.clock = () => replay.now();
+        engine.setTimeScale(replay.speed);
+    });
+}
+
+// 下单执行：EXECUTION=true 时把信号下到OKX，默认走模拟盘（OKX_DEMO=false 才是实盘）
+// API凭证只在服务端使用，不会出现在快照或事件流中；OKX_PRIVATE_BASE 可指向本地模拟交易所
+// 现货只执行做多信号；做空需使用 -SWAP 合约，保证金模式 OKX_TD_MODE=cross|isolated（默认 cross）
+// 未设置 API_TOKEN 时拒绝启动，避免任何能访问端口的人触发下单
+if (!replay && process.env.EXECUTION === 'true' && !API_TOKEN) {
+    console.error('❌ EXECUTION=true 需要设置 API_TOKEN，下单执行未启动');
+    process.exit(1);
+}
+const executor = !replay && process.env.EXECUTION === 'true' ? new OrderExecutor(new OkxPrivateClient({
+    apiKey: process.env.OKX_API_KEY,
+    secret: process.env.OKX_API_SECRET,
+    passphrase: process.env.OKX_API_PASSPHRASE,
+    baseUrl: process.env.OKX_PRIVATE_BASE || undefined,
+    demo: process.env.OKX_DEMO !== 'false'
+}), {
+    engines,
+    bus,
+    tdMode: process.env.OKX_TD_MODE || undefined,
+    reconcileInterval: parseInt(process.env.OKX_RECONCILE_INTERVAL, 10) || undefined
+}) : null;
+
+// Telegram：Bot Token 和 chat 只在服务端配置（环境变量 TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID / TELEGRAM_ALLOWED_CHATS，
+// 或 data/telegram.json），TELEGRAM_API_BASE 可指向本地的 fake-telegram.js
+const telegramConfig = loadTelegramConfig(process.env.TELEGRAM_CONFIG_FILE || path.join(__dirname, 'data', 'telegram.json'));
+const telegramClient = telegramConfig.botToken ? new TelegramClient({
+    token: telegramConfig.botToken,
+    apiBase: telegramConfig.apiBase
+}) : null;
+
+// 浏览器提交的通知事件由服务端按路由发往各渠道（Telegram、Discord、Slack、Webhook、邮件），失败的排队重试
+// 渠道、路由和模板见 data/notify.json（NOTIFY_CONFIG_FILE），凭证只在服务端
+const notifyConfig = loadNotifyConfig(process.env.NOTIFY_CONFIG_FILE || path.join(__dirname, 'data', 'notify.json'));
+const notifier = new Notifier(createChannels(notifyConfig.channels, { telegramClient, telegramConfig }), {
+    routes: notifyConfig.routes,
+    templates: notifyConfig.templates,
+    file: replay ? null : path.join(__dirname, 'data', 'notify-queue.json')
+});
+
+// Telegram命令：长轮询 getUpdates，只响应 allowedChats 中的 chat
+const telegramBot = !replay && telegramClient ? new TelegramCommandBot(telegramClient, {
+    engines,
+    store,
+    executor,
+    allowedChats: telegramConfig.allowedChats,
+    pollTimeout: parseInt(process.env.TELEGRAM_POLL_TIMEOUT, 10) || undefined
+}) : null;
+
+function publishReplayStatus() {
+    bus.publish('replay', null, replay.status(), new Date(replay.now()).toISOString(), true);
+}
+
+marketData.on('ticker', (instId, ticker) => {
+    const engine = engines.get(instId);
+    if (engine) {
+        engine.onMarketTick(ticker);
+    }
+});
+
+marketData.on('status', status => {
+    console.log(`📡 行情连接状态: tickers=${status.tickers}, candles=${status.candles}`);
+});
 
 // OKX API代理
 app.get('/api/okx/ticker/:symbol', async (req, res) => {
@@ -29,7 +194,351 @@ app.get('/api/okx/candles/:symbol', async (req, res) => {
     }
 });
 
+// 交易引擎状态
+function hubSnapshot() {
+    return {
+        watchlist: WATCHLIST,
+        replay: replay ? replay.status() : null,
+        engines: Object.fromEntries([...engines].map(([symbol, engine]) => [symbol, engine.snapshot()]))
+    };
+}
+
+function findEngine(req, res) {
+    const engine = engines.get(req.params.symbol.toUpperCase());
+    if (!engine) {
+        res.status(404).json({ error: `不在观察列表中: ${req.params.symbol}` });
+    }
+    return engine;
+}
+
+app.get('/api/engine/state', (req, res) => {
+    res.json(hubSnapshot());
+});
+
+app.get('/api/engine/watchlist', (req, res) => {
+    res.json([...engines.values()].map(engine => engine.summary()));
+});
+
+app.get('/api/engine/strategies', (req, res) => {
+    res.json(tradingStrategies.list());
+});
+
+app.get('/api/engine/:symbol/state', (req, res) => {
+    const engine = findEngine(req, res);
+    if (engine) res.json(engine.snapshot());
+});
+
+app.post('/api/engine/:symbol/signal', requireToken, async (req, res) => {
+    const engine = findEngine(req, res);
+    if (!engine) return;
+
+    try {
+        await engine.forceSignal();
+        res.json(engine.snapshot());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/engine/:symbol/check', requireToken, async (req, res) => {
+    const engine = findEngine(req, res);
+    if (!engine) return;
+
+    try {
+        await engine.checkIntrabarConditions();
+        engine.checkTradeConditions();
+        res.json(engine.snapshot());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/engine/:symbol/strategy', requireToken, (req, res) => {
+    const engine = findEngine(req, res);
+    if (!engine) return;
+
+    const { strategy } = req.body || {};
+    if (!engine.setStrategy(strategy)) {
+        return res.status(400).json({ error: `未知策略: ${strategy}` });
+    }
+
+    res.json(engine.snapshot());
+});
+
+// 清空交易对的交易记录、统计和模拟账户
+app.post('/api/engine/:symbol/reset', requireToken, (req, res) => {
+    const engine = findEngine(req, res);
+    if (!engine) return;
+
+    try {
+        engine.reset();
+    } catch (error) {
+        return res.status(409).json({ error: error.message });
+    }
+
+    store.clearSymbol(engine.config.symbol);
+    res.json(engine.snapshot());
+});
+
+// 模拟账户出入金
+function changeBalance(type) {
+    return (req, res) => {
+        const engine = findEngine(req, res);
+        if (!engine) return;
+
+        try {
+            engine[type]((req.body || {}).amount);
+            res.json(engine.snapshot());
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    };
+}
+
+app.post('/api/engine/:symbol/deposit', requireToken, changeBalance('deposit'));
+app.post('/api/engine/:symbol/withdraw', requireToken, changeBalance('withdraw'));
+
+// ==================== 交易存储接口 ====================
+
+// 连接地址和交易对由服务端决定，不能通过接口修改
+const LOCKED_CONFIG_KEYS = ['apiBase', 'engineUrl', 'replayUrl', 'storeUrl', 'symbol', 'watchlist'];
+
+// 只接受引擎已有且类型一致的参数，返回 { config, invalid }
+function sanitizeConfig(patch) {
+    const reference = engines.values().next().value.config;
+    const config = {};
+    const invalid = [];
+
+    Object.entries(patch).forEach(([key, value]) => {
+        const valid = !LOCKED_CONFIG_KEYS.includes(key) && key in reference &&
+            Array.isArray(value) === Array.isArray(reference[key]) &&
+            (reference[key] === null || typeof value === typeof reference[key]) &&
+            (key !== 'strategy' || tradingStrategies.has(value));
+
+        if (valid) config[key] = value;
+        else invalid.push(key);
+    });
+
+    return { config, invalid };
+}
+
+app.get('/api/trades', (req, res) => {
+    const { symbol, status } = req.query;
+    res.json(store.listTrades({
+        symbol: symbol ? symbol.toUpperCase() : undefined,
+        status,
+        limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000),
+        offset: parseInt(req.query.offset, 10) || 0
+    }));
+});
+
+// 交易记录需要 id、OKX产品ID格式的交易对和 ISO 格式的开仓时间，否则进入索引后会打乱按时间的查询
+function tradeError(trade) {
+    if (!trade || typeof trade !== 'object' || !trade.id) return '缺少 id';
+    if (typeof trade.symbol !== 'string' || !/^[A-Z0-9]+-[A-Z0-9]+(-SWAP)?$/.test(trade.symbol)) {
+        return `交易对格式不正确: ${trade.symbol}`;
+    }
+    if (typeof trade.timestamp !== 'string' || Number.isNaN(Date.parse(trade.timestamp)) ||
+        new Date(trade.timestamp).toISOString() !== trade.timestamp) {
+        return `timestamp 需要是 ISO 格式: ${trade.timestamp}`;
+    }
+    return null;
+}
+
+// 本地模式的浏览器上传交易记录（单笔、数组或 { trades }）；观察列表中的交易对由服务端引擎记录
+app.post('/api/trades', requireToken, (req, res) => {
+    const body = req.body || {};
+    const trades = Array.isArray(body) ? body : body.trades || [body];
+
+    const invalid = trades.map((trade, index) => ({ index, error: tradeError(trade) })).filter(item => item.error);
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: '交易记录无效', invalid });
+    }
+    if (trades.some(trade => engines.has(trade.symbol))) {
+        return res.status(409).json({ error: '观察列表中的交易对由服务端引擎记录' });
+    }
+
+    const saved = store.saveTrades(trades);
+    if (saved === 0) {
+        return res.status(400).json({ error: '没有交易记录' });
+    }
+
+    res.json({ saved, total: store.listTrades().total });
+});
+
+// 观察列表中的交易对返回引擎实时统计，其余为浏览器上传的统计
+app.get('/api/stats', (req, res) => {
+    const stats = {
+        ...store.getStats(),
+        ...Object.fromEntries([...engines].map(([symbol, engine]) => [symbol, engine.state.stats]))
+    };
+
+    if (!req.query.symbol) return res.json(stats);
+
+    const symbol = req.query.symbol.toUpperCase();
+    if (!stats[symbol]) return res.status(404).json({ error: `没有统计数据: ${symbol}` });
+    res.json(stats[symbol]);
+});
+
+app.post('/api/stats', requireToken, (req, res) => {
+    const { symbol, stats } = req.body || {};
+    if (!symbol || !stats || typeof stats !== 'object') {
+        return res.status(400).json({ error: '需要 symbol 和 stats' });
+    }
+    if (engines.has(symbol.toUpperCase())) {
+        return res.status(409).json({ error: '观察列表中的交易对由服务端引擎统计' });
+    }
+
+    store.saveStats(symbol.toUpperCase(), stats);
+    res.json(store.getStats(symbol.toUpperCase()));
+});
+
+app.get('/api/config', (req, res) => {
+    res.json(store.getConfig());
+});
+
+// 修改共享配置：保存后立即应用到所有引擎（定时器间隔在重启后生效）
+app.post('/api/config', requireToken, (req, res) => {
+    const { config, invalid } = sanitizeConfig(req.body || {});
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: `无效的配置项: ${invalid.join(', ')}` });
+    }
+
+    engines.forEach(engine => {
+        const { strategy, ...rest } = config;
+        Object.assign(engine.config, rest);
+        if (strategy) engine.setStrategy(strategy);
+    });
+
+    res.json(store.updateConfig(config));
+});
+
+// 通知服务状态：渠道、各事件的路由和模板（不含凭证）
+app.get('/api/notify', (req, res) => {
+    res.json(notifier.status());
+});
+
+// 提交通知事件 { event, data, chatId, tradeId }：立即向路由到的渠道发送一次，失败的排队重试
+// 消息只由服务端模板和事件数据渲染，调用方不能指定标题和正文
+// 返回的 status 为 sent/queued/failed，deliveries 为各渠道的投递状态
+app.post('/api/notify', requireToken, async (req, res) => {
+    const { event, data, chatId, tradeId } = req.body || {};
+
+    if (!notifier.isConfigured()) {
+        return res.status(503).json({ error: '服务端未配置通知渠道，且没有事件路由到浏览器' });
+    }
+    if (!notificationTemplates.isEvent(event)) {
+        return res.status(400).json({ error: `未知的通知事件: ${event}` });
+    }
+    if (data !== undefined && (typeof data !== 'object' || data === null || Array.isArray(data))) {
+        return res.status(400).json({ error: 'data 需要是对象' });
+    }
+    if (!notifier.isChatAllowed(event, chatId)) {
+        return res.status(403).json({ error: `chat 不在服务端白名单中: ${chatId}` });
+    }
+
+    try {
+        const notification = await notifier.notify({
+            event,
+            data: data || {},
+            chatId,
+            tradeId: tradeId || null
+        });
+        res.status(notification.status === 'queued' ? 202 : 200).json(notification);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 查询通知的投递状态（浏览器据此更新交易的 notificationSent）
+app.get('/api/notify/:id', (req, res) => {
+    const notification = notifier.get(req.params.id);
+    if (!notification) return res.status(404).json({ error: `未知的通知: ${req.params.id}` });
+    res.json(notification);
+});
+
+// 下单执行状态（不含凭证）
+app.get('/api/execution', (req, res) => {
+    res.json(executor ? executor.status() : { enabled: false });
+});
+
+// 回放控制
+app.get('/api/replay', (req, res) => {
+    if (!replay) return res.status(404).json({ error: '未处于回放模式' });
+    res.json(replay.status());
+});
+
+app.post('/api/replay/speed', requireToken, (req, res) => {
+    if (!replay) return res.status(404).json({ error: '未处于回放模式' });
+
+    const speed = parseFloat((req.body || {}).speed);
+    if (!(speed > 0)) {
+        return res.status(400).json({ error: `无效的回放速度: ${(req.body || {}).speed}` });
+    }
+
+    replay.setSpeed(speed);
+    engines.forEach(engine => engine.setTimeScale(speed));
+    publishReplayStatus();
+    res.json(replay.status());
+});
+
+// 事件流（SSE）：推送所有交易对的价格、信号、TP/SL结果和冷却状态
+app.get('/api/engine/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = event => {
+        const payload = JSON.stringify({ symbol: event.symbol, data: event.data });
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${payload}\n\n`);
+    };
+
+    // 断线重连：补发错过的事件，无法补齐时发送完整快照
+    const lastId = req.get('Last-Event-ID') || req.query.lastEventId;
+    const missed = lastId ? bus.eventsSince(lastId) : null;
+
+    if (missed) {
+        missed.forEach(send);
+    } else {
+        send({ id: bus.currentEventId(), type: 'snapshot', symbol: null, data: hubSnapshot() });
+    }
+
+    bus.on('event', send);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        bus.off('event', send);
+    });
+});
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     console.log(`代理服务器运行在 http://localhost:${PORT}`);
-});
\ No newline at end of file
+    console.log(`📋 观察列表: ${WATCHLIST.join(', ')}`);
+    if (!API_TOKEN) console.warn('⚠️ 未设置 API_TOKEN，修改类接口已禁用');
+    if (CORS_ORIGINS.length > 0) console.log(`🌐 允许跨域来源: ${CORS_ORIGINS.join(', ')}`);
+
+    if (replay) {
+        console.log(`⏪ 回放模式: ${replay.file} (${replay.speed}x)`);
+        replay.on('end', publishReplayStatus);
+        setInterval(publishReplayStatus, 2000);
+    }
+    if (recorder) recorder.start();
+    if (executor) executor.start();
+    if (telegramBot) telegramBot.start();
+    notifier.start();
+
+    marketData.start();
+    // 引擎状态文件中已有的历史同步到存储
+    engines.forEach(engine => {
+        // 单个交易对初始化或写入失败不影响其他交易对
+        Promise.resolve(engine.init())
+            .then(() => store.saveTrades(engine.state.signalHistory))
+            .catch(error => console.error(`❌ ${engine.config.symbol} 初始化失败:`, error.message));
+    });
+});
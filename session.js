@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// ==================== 行情录制 ====================
+// 把行情模块的 ticker / K线推送 / REST K线快照逐行写入 JSONL 文件
+// 文件格式: 首行为会话信息，之后每行 { t, type, instId, ... }
+class SessionRecorder {
+    constructor(marketData, file) {
+        this.marketData = marketData;
+        this.file = file;
+        this.stream = null;
+        this.count = 0;
+
+        this.listeners = {
+            ticker: (instId, ticker) => this.write({ type: 'ticker', instId, data: ticker }),
+            candle: (instId, candle, confirmed) => this.write({
+                type: 'candle', instId, bar: marketData.options.bar, data: candle, confirmed
+            }),
+            candles: (instId, bar, candles) => this.write({ type: 'candles', instId, bar, data: candles })
+        };
+    }
+
+    start() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+
+        this.stream.write(JSON.stringify({
+            type: 'session',
+            t: Date.now(),
+            symbols: this.marketData.options.symbols,
+            bar: this.marketData.options.bar
+        }) + '\n');
+
+        Object.entries(this.listeners).forEach(([event, listener]) => this.marketData.on(event, listener));
+        console.log(`⏺️ 开始录制行情: ${this.file}`);
+    }
+
+    write(entry) {
+        if (!this.stream) return;
+        this.stream.write(JSON.stringify({ t: Date.now(), ...entry }) + '\n');
+        this.count++;
+    }
+
+    stop() {
+        if (!this.stream) return;
+
+        Object.entries(this.listeners).forEach(([event, listener]) => this.marketData.off(event, listener));
+        this.stream.end();
+        this.stream = null;
+        console.log(`⏹️ 行情录制结束: ${this.file} (${this.count} 条)`);
+    }
+}
+
+// ==================== 行情回放 ====================
+// 与 OkxMarketData 接口一致（start/stop/status/getTicker/getCandles + ticker/candle 事件），
+// 可直接替换给服务端引擎使用；now() 为回放时钟，引擎时钟跟随它
+class SessionReplay extends EventEmitter {
+    constructor(file, options = {}) {
+        super();
+        this.file = file;
+        this.speed = options.speed || 1;
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+        const entries = lines.map(line => JSON.parse(line));
+        const header = entries[0] && entries[0].type === 'session' ? entries.shift() : {};
+
+        this.events = entries.sort((a, b) => a.t - b.t);
+        if (this.events.length === 0) {
+            throw new Error(`回放文件没有行情数据: ${file}`);
+        }
+
+        this.options = {
+            symbols: header.symbols || [...new Set(this.events.map(e => e.instId))],
+            bar: header.bar || '15m'
+        };
+
+        this.startTime = this.events[0].t;
+        this.endTime = this.events[this.events.length - 1].t;
+
+        // 回放到当前时刻的行情状态
+        this.tickers = new Map();   // instId -> ticker
+        this.series = new Map();    // `${instId}:${bar}` -> [candle]
+        this.cursor = 0;
+        this.timer = null;
+        this.finished = false;
+
+        // 时钟锚点：虚拟时间 = anchor.virtual + (真实时间 - anchor.real) * speed
+        this.anchor = { virtual: this.startTime, real: Date.now() };
+        this.running = false;
+    }
+
+    now() {
+        if (!this.running) return this.anchor.virtual;
+        return Math.min(this.endTime, this.anchor.virtual + (Date.now() - this.anchor.real) * this.speed);
+    }
+
+    start() {
+        this.anchor = { virtual: this.anchor.virtual, real: Date.now() };
+        this.running = true;
+        this.emit('status', this.status());
+        this.schedule();
+    }
+
+    stop() {
+        this.anchor = { virtual: this.now(), real: Date.now() };
+        this.running = false;
+        clearTimeout(this.timer);
+    }
+
+    setSpeed(speed) {
+        // 先按旧速度结算当前时间，再切换
+        this.anchor = { virtual: this.now(), real: Date.now() };
+        this.speed = speed;
+        console.log(`⏩ 回放速度: ${speed}x`);
+
+        if (this.running) {
+            clearTimeout(this.timer);
+            this.schedule();
+        }
+    }
+
+    status() {
+        const time = this.now();
+
+        return {
+            file: path.basename(this.file),
+            speed: this.speed,
+            time,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            progress: this.endTime > this.startTime ? (time - this.startTime) / (this.endTime - this.startTime) : 1,
+            finished: this.finished,
+            // 与 OkxMarketData.status() 一致
+            tickers: this.running,
+            candles: this.running
+        };
+    }
+
+    // 派发到当前回放时间为止的事件，再按间隔等待下一条
+    schedule() {
+        const time = this.now();
+
+        while (this.cursor < this.events.length && this.events[this.cursor].t <= time) {
+            this.dispatch(this.events[this.cursor++]);
+        }
+
+        if (this.cursor >= this.events.length) {
+            this.finished = true;
+            this.running = false;
+            this.anchor = { virtual: this.endTime, real: Date.now() };
+            console.log('🏁 回放结束');
+            this.emit('end');
+            this.emit('status', this.status());
+            return;
+        }
+
+        const delay = (this.events[this.cursor].t - time) / this.speed;
+        this.timer = setTimeout(() => this.schedule(), Math.max(0, Math.min(delay, 1000)));
+    }
+
+    dispatch(event) {
+        const { type, instId, bar, data } = event;
+
+        if (type === 'ticker') {
+            this.tickers.set(instId, data);
+            this.emit('ticker', instId, data);
+        } else if (type === 'candles') {
+            this.series.set(`${instId}:${bar}`, data.slice());
+        } else if (type === 'candle') {
+            this.mergeCandle(`${instId}:${bar}`, data);
+            this.emit('candle', instId, data, event.confirmed);
+        }
+    }
+
+    mergeCandle(key, candle) {
+        const list = this.series.get(key);
+        if (!list || list.length === 0) return;
+
+        const last = list[list.length - 1];
+        if (candle.timestamp === last.timestamp) {
+            list[list.length - 1] = candle;
+        } else if (candle.timestamp > last.timestamp) {
+            list.push(candle);
+        }
+    }
+
+    // 回放开始时引擎立即请求数据，尚未回放到的快照取文件中第一份
+    firstEvent(predicate) {
+        return this.events.find(predicate) || null;
+    }
+
+    // ==================== 查询接口 ====================
+
+    async getTicker(instId) {
+        if (this.tickers.has(instId)) return this.tickers.get(instId);
+
+        const first = this.firstEvent(e => e.type === 'ticker' && e.instId === instId);
+        if (first) return first.data;
+
+        // 没有录到ticker时用K线收盘价代替
+        const candles = await this.getCandles(instId, this.options.bar, 1);
+        return { instId, last: String(candles[candles.length - 1].close) };
+    }
+
+    async getCandles(instId, bar = this.options.bar, limit = 30) {
+        const key = `${instId}:${bar}`;
+        let list = this.series.get(key);
+
+        if (!list) {
+            const first = this.firstEvent(e => e.type === 'candles' && e.instId === instId && e.bar === bar);
+            if (!first) throw new Error(`回放数据中没有 ${instId} ${bar} K线`);
+            list = first.data;
+        }
+
+        return list.slice(-limit);
+    }
+}
+
+module.exports = { SessionRecorder, SessionReplay };
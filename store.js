@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==================== 交易数据存储 ====================
+// 服务端持久化的信号/交易、各交易对统计和共享配置，保存在单个JSON文件中：
+// { trades: [...], stats: { [symbol]: stats }, config: { ... } }
+// 交易按 id 去重（同一笔交易多次写入时以最新为准），按开仓时间倒序保存，不限条数
+// 写文件合并到 saveDelay 毫秒后执行一次，进程退出前调用 flush()
+// file 为空时只保存在内存中（回放模式）
+class TradeStore {
+    constructor(file = null, options = {}) {
+        this.file = file;
+        this.saveDelay = options.saveDelay ?? 1000;
+        this.data = { trades: [], stats: {}, config: {} };
+        this.positions = new Map();   // 交易id -> 在 trades 中的下标
+        this.saveTimer = null;
+        this.load();
+        this.reindex();
+    }
+
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) return;
+
+        try {
+            const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.data = {
+                trades: parsed.trades || [],
+                stats: parsed.stats || {},
+                config: parsed.config || {}
+            };
+            this.data.trades.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            console.log(`📂 交易存储已加载: ${this.file} (${this.data.trades.length} 笔)`);
+        } catch (error) {
+            console.error('加载交易存储失败:', error);
+        }
+    }
+
+    reindex() {
+        this.positions = new Map(this.data.trades.map((trade, index) => [trade.id, index]));
+    }
+
+    // 合并短时间内的多次修改，只写一次文件
+    save() {
+        if (!this.file || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+        if (this.saveTimer.unref) this.saveTimer.unref();
+    }
+
+    // 先写临时文件再改名，避免写到一半时进程退出把文件写坏
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.file) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(this.data, null, 2));
+            fs.renameSync(`${this.file}.tmp`, this.file);
+        } catch (error) {
+            console.error('保存交易存储失败:', error);
+        }
+    }
+
+    // ==================== 交易 ====================
+
+    listTrades({ symbol, status, limit = 100, offset = 0 } = {}) {
+        const trades = this.data.trades.filter(trade =>
+            (!symbol || trade.symbol === symbol) && (!status || trade.status === status));
+
+        return {
+            total: trades.length,
+            trades: trades.slice(offset, offset + limit)
+        };
+    }
+
+    saveTrades(trades) {
+        const valid = trades.filter(trade => trade && trade.id && trade.timestamp);
+        if (valid.length === 0) return 0;
+
+        // 已有交易原位替换，新交易按开仓时间插入
+        valid.forEach(trade => {
+            const index = this.positions.get(trade.id);
+            if (index !== undefined) {
+                this.data.trades[index] = trade;
+            } else {
+                this.insertTrade(trade);
+            }
+        });
+
+        this.save();
+        return valid.length;
+    }
+
+    // 重置交易对时清空它的交易和统计
+    clearSymbol(symbol) {
+        this.data.trades = this.data.trades.filter(trade => trade.symbol !== symbol);
+        this.reindex();
+        delete this.data.stats[symbol];
+        this.save();
+    }
+
+    // 二分查找插入位置（时间相同的排在已有交易之后），之后的下标整体后移
+    insertTrade(trade) {
+        const trades = this.data.trades;
+        const time = new Date(trade.timestamp).getTime();
+        let low = 0;
+        let high = trades.length;
+
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (new Date(trades[mid].timestamp).getTime() >= time) low = mid + 1;
+            else high = mid;
+        }
+
+        trades.splice(low, 0, trade);
+        for (let i = low; i < trades.length; i++) {
+            this.positions.set(trades[i].id, i);
+        }
+    }
+
+    // ==================== 统计 ====================
+
+    getStats(symbol = null) {
+        return symbol ? this.data.stats[symbol] || null : this.data.stats;
+    }
+
+    saveStats(symbol, stats) {
+        this.data.stats[symbol] = { ...stats, updatedAt: new Date().toISOString() };
+        this.save();
+    }
+
+    // ==================== 配置 ====================
+
+    getConfig() {
+        return this.data.config;
+    }
+
+    updateConfig(patch) {
+        this.data.config = { ...this.data.config, ...patch };
+        this.save();
+        return this.data.config;
+    }
+}
+
+module.exports = { TradeStore };
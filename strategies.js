@@ -0,0 +1,286 @@
+// ==================== 交易策略注册表 ====================
+// 策略约定: analyze({ candles, indicators, price, config }) → { action, confidence, reason }
+// action 为 'BUY' / 'SELL' / 'HOLD'，confidence 为 0~1 的数值
+
+class StrategyRegistry {
+    constructor() {
+        this.strategies = new Map();
+        this.defaultId = null;
+    }
+
+    register(strategy) {
+        if (!strategy || !strategy.id || typeof strategy.analyze !== 'function') {
+            throw new Error('策略必须包含 id 和 analyze 方法');
+        }
+
+        this.strategies.set(strategy.id, strategy);
+        if (!this.defaultId) this.defaultId = strategy.id;
+        return this;
+    }
+
+    get(id) {
+        if (this.strategies.has(id)) return this.strategies.get(id);
+
+        if (id) console.warn(`未知策略 ${id}，使用默认策略 ${this.defaultId}`);
+        return this.strategies.get(this.defaultId);
+    }
+
+    has(id) {
+        return this.strategies.has(id);
+    }
+
+    list() {
+        return [...this.strategies.values()].map(({ id, name, description }) => ({ id, name, description }));
+    }
+}
+
+// ==================== 策略内部工具 ====================
+
+// 指标库：Node环境中直接引入；浏览器中为全局变量，需在 strategies.js 之前加载 indicators.js
+const strategyIndicators = (() => {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./indicators.js').technicalIndicators;
+    }
+    if (typeof technicalIndicators === 'undefined') {
+        throw new Error('strategies.js 需要先加载 indicators.js（全局变量 technicalIndicators）');
+    }
+    return technicalIndicators;
+})();
+
+// 调用方未提供的指标由K线补齐（两套系统计算的指标不同）
+function deriveIndicators(candles, price, config, indicators = {}) {
+    const closes = candles.map(c => c.close);
+    const result = { ...indicators };
+
+    if (result.rsi === undefined) {
+        result.rsi = strategyRSI(closes);
+    }
+
+    if (result.trend === undefined) {
+        result.trend = strategyTrend(closes, config.trendThreshold);
+    }
+
+    if (result.pricePosition === undefined) {
+        const highs = candles.slice(-20).map(c => c.high);
+        const lows = candles.slice(-20).map(c => c.low);
+        const resistance = Math.max(...highs);
+        const support = Math.min(...lows);
+        const position = resistance > support ? (price - support) / (resistance - support) * 100 : 50;
+        result.pricePosition = Math.max(0, Math.min(100, position));
+    }
+
+    if (result.volatility === undefined) {
+        result.volatility = strategyVolatility(closes);
+    }
+
+    if (result.marketStructure === undefined) {
+        result.marketStructure = determineMarketStructure(candles);
+    }
+
+    return result;
+}
+
+// 与 indicators.js 相同的 Wilder RSI（数据不足时为中性50）
+function strategyRSI(closes, period = 14) {
+    const rsi = strategyIndicators.rsi(closes, period);
+    return rsi === null ? 50 : rsi;
+}
+
+function strategyTrend(closes, threshold = 0.5) {
+    if (closes.length < 10) return 'neutral';
+
+    const shortAvg = closes.slice(-5).reduce((a, b) => a + b) / 5;
+    const longAvg = closes.slice(-10).reduce((a, b) => a + b) / 10;
+    const change = ((shortAvg - longAvg) / longAvg) * 100;
+
+    if (change > threshold) return 'bullish';
+    if (change < -threshold) return 'bearish';
+    return 'neutral';
+}
+
+function strategyVolatility(closes) {
+    if (closes.length < 10) return 0;
+
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+        returns.push((closes[i] - closes[i - 1]) / closes[i - 1]);
+    }
+
+    const mean = returns.reduce((a, b) => a + b) / returns.length;
+    const variance = returns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / returns.length;
+    return Math.sqrt(variance) * Math.sqrt(252) * 100;
+}
+
+function determineMarketStructure(candles) {
+    if (candles.length < 20) return 'neutral';
+    const recent = candles.slice(-20);
+    const highs = recent.map(c => c.high);
+    const lows = recent.map(c => c.low);
+
+    let higherHighs = 0, higherLows = 0, lowerHighs = 0, lowerLows = 0;
+    for (let i = 1; i < recent.length; i++) {
+        if (highs[i] > highs[i-1]) higherHighs++;
+        if (lows[i] > lows[i-1]) higherLows++;
+        if (highs[i] < highs[i-1]) lowerHighs++;
+        if (lows[i] < lows[i-1]) lowerLows++;
+    }
+
+    if (higherHighs > 12 && higherLows > 12) return 'uptrend';
+    if (lowerHighs > 12 && lowerLows > 12) return 'downtrend';
+
+    const range = Math.max(...highs) - Math.min(...lows);
+    const avgPrice = recent.reduce((sum, c) => sum + c.close, 0) / recent.length;
+    if (range / avgPrice < 0.02) return 'consolidation';
+
+    return 'neutral';
+}
+
+// ==================== 内置策略 ====================
+
+// RSI + 支撑阻力（原 AutoTradingSystem.analyzeMarket）
+const rsiSupportResistanceStrategy = {
+    id: 'rsi-sr',
+    name: 'RSI + 支撑阻力',
+    description: 'RSI超买超卖结合价格在支撑阻力区间中的位置，高波动时降低信号强度',
+    defaults: {
+        rsiOversold: 30,
+        rsiOverbought: 70,
+        rsiNeutralMin: 40,
+        rsiNeutralMax: 60,
+        highVolatility: 5,
+        trendThreshold: 0.5
+    },
+
+    analyze({ candles, indicators, price, config = {} }) {
+        const cfg = { ...this.defaults, ...config };
+        const { rsi, trend, volatility, pricePosition } = deriveIndicators(candles, price, cfg, indicators);
+
+        let action = 'HOLD';
+        let confidence = 0.5;
+        let reason = '';
+
+        // RSI信号
+        if (rsi < cfg.rsiOversold) {
+            // RSI超卖，可能买入机会
+            if (trend === 'bullish' || trend === 'neutral') {
+                action = 'BUY';
+                confidence = 0.7 + (cfg.rsiOversold - rsi) / 50;
+                reason = `RSI超卖(${rsi.toFixed(1)} < ${cfg.rsiOversold})，趋势${trend === 'bullish' ? '向上' : '中性'}`;
+
+                if (pricePosition < 40) {
+                    reason += `，价格接近支撑位(${pricePosition.toFixed(1)}%)`;
+                    confidence += 0.05;
+                }
+            } else {
+                reason = `RSI超卖(${rsi.toFixed(1)})但趋势向下，等待确认`;
+            }
+
+        } else if (rsi > cfg.rsiOverbought) {
+            // RSI超买，可能卖出机会
+            if (trend === 'bearish' || trend === 'neutral') {
+                action = 'SELL';
+                confidence = 0.7 + (rsi - cfg.rsiOverbought) / 50;
+                reason = `RSI超买(${rsi.toFixed(1)} > ${cfg.rsiOverbought})，趋势${trend === 'bearish' ? '向下' : '中性'}`;
+
+                if (pricePosition > 60) {
+                    reason += `，价格接近阻力位(${pricePosition.toFixed(1)}%)`;
+                    confidence += 0.05;
+                }
+            } else {
+                reason = `RSI超买(${rsi.toFixed(1)})但趋势向上，等待确认`;
+            }
+
+        } else if (rsi > cfg.rsiNeutralMin && rsi < cfg.rsiNeutralMax) {
+            // RSI中性区间
+            reason = `RSI中性(${rsi.toFixed(1)})，市场平衡`;
+            confidence = 0.6;
+
+        } else {
+            // RSI在正常区间
+            if (pricePosition < 30 && trend !== 'bearish') {
+                action = 'BUY';
+                confidence = 0.65;
+                reason = `价格接近支撑位(${pricePosition.toFixed(1)}%)，RSI适中(${rsi.toFixed(1)})`;
+            } else if (pricePosition > 70 && trend !== 'bullish') {
+                action = 'SELL';
+                confidence = 0.65;
+                reason = `价格接近阻力位(${pricePosition.toFixed(1)}%)，RSI适中(${rsi.toFixed(1)})`;
+            } else {
+                reason = `市场无明显信号，RSI: ${rsi.toFixed(1)}，位置: ${pricePosition.toFixed(1)}%`;
+            }
+        }
+
+        // 波动率过滤
+        if (volatility > cfg.highVolatility) {
+            confidence *= 0.8;
+            reason += ` | 高波动率(${volatility.toFixed(1)}%)降低信号强度`;
+        }
+
+        return { action, confidence, reason };
+    }
+};
+
+// 市场结构回调（原 SmartTradingSystem.analyzeSignal）
+const structurePullbackStrategy = {
+    id: 'structure-pullback',
+    name: '市场结构回调',
+    description: '上升趋势回调买入、下降趋势反弹卖出、盘整区间高抛低吸',
+    defaults: {},
+
+    analyze({ candles, indicators, price }) {
+        const { marketStructure } = deriveIndicators(candles, price, {}, indicators);
+
+        let action = 'HOLD';
+        let reason = '';
+        let confidence = 0.5;
+
+        if (marketStructure === 'uptrend') {
+            const recentLow = Math.min(...candles.slice(-5).map(c => c.low));
+            if (price <= recentLow * 1.005) {
+                action = 'BUY';
+                reason = '上升趋势中的回调买入机会';
+                confidence = 0.65;
+            } else {
+                reason = '上升趋势，等待回调';
+            }
+        } else if (marketStructure === 'downtrend') {
+            const recentHigh = Math.max(...candles.slice(-5).map(c => c.high));
+            if (price >= recentHigh * 0.995) {
+                action = 'SELL';
+                reason = '下降趋势中的反弹卖出机会';
+                confidence = 0.65;
+            } else {
+                reason = '下降趋势，等待反弹';
+            }
+        } else if (marketStructure === 'consolidation') {
+            const rangeHigh = Math.max(...candles.slice(-20).map(c => c.high));
+            const rangeLow = Math.min(...candles.slice(-20).map(c => c.low));
+            const rangeMid = (rangeHigh + rangeLow) / 2;
+
+            if (price <= rangeMid && price >= rangeLow * 1.005) {
+                action = 'BUY';
+                reason = '盘整区间下沿支撑买入';
+                confidence = 0.6;
+            } else if (price >= rangeMid && price <= rangeHigh * 0.995) {
+                action = 'SELL';
+                reason = '盘整区间上沿阻力卖出';
+                confidence = 0.6;
+            } else {
+                reason = '盘整区间边缘，等待确认';
+            }
+        } else {
+            reason = '市场结构不明确';
+        }
+
+        return { action, confidence, reason };
+    }
+};
+
+const tradingStrategies = new StrategyRegistry()
+    .register(rsiSupportResistanceStrategy)
+    .register(structurePullbackStrategy);
+
+// Node环境导出（服务端引擎/回测使用），浏览器中为全局变量
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StrategyRegistry, tradingStrategies, determineMarketStructure };
+}
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const axios = require('axios');
+
+// ==================== Telegram Bot API ====================
+// apiBase 可指向本地的 fake-telegram.js 联调（TELEGRAM_API_BASE=http://localhost:8091）
+class TelegramClient {
+    constructor({ token, apiBase = 'https://api.telegram.org' }) {
+        if (!token) throw new Error('缺少 Telegram Bot Token');
+        this.token = token;
+        this.apiBase = apiBase.replace(/\/$/, '');
+    }
+
+    async call(method, params = {}, timeout = 10000) {
+        const response = await axios.post(`${this.apiBase}/bot${this.token}/${method}`, params, {
+            timeout,
+            validateStatus: () => true
+        });
+
+        if (!response.data || !response.data.ok) {
+            const error = new Error(`Telegram ${method} 失败: ${response.data ? response.data.description : response.status}`);
+            // 供调用方区分可重试的错误（网络错误时没有 status）
+            error.status = response.status;
+            error.retryAfter = response.data && response.data.parameters ? response.data.parameters.retry_after : undefined;
+            throw error;
+        }
+        return response.data.result;
+    }
+
+    // 长轮询：服务端最多挂起 timeout 秒，请求超时留出余量
+    getUpdates(offset, timeout = 30) {
+        return this.call('getUpdates', { offset, timeout, allowed_updates: ['message'] }, (timeout + 10) * 1000);
+    }
+
+    sendMessage(chatId, text, options = {}) {
+        return this.call('sendMessage', { chat_id: chatId, text, disable_web_page_preview: true, ...options });
+    }
+}
+
+// 读取 Telegram 配置：服务端配置文件 { botToken, chatId, allowedChats, apiBase }，环境变量优先
+// Token 只保存在服务端，不会下发给浏览器
+function loadTelegramConfig(file, env = process.env) {
+    let config = {};
+    if (file && fs.existsSync(file)) {
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error('读取Telegram配置失败:', error.message);
+        }
+    }
+
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(id => String(id).trim())
+        .filter(Boolean);
+
+    return {
+        botToken: env.TELEGRAM_BOT_TOKEN || config.botToken || null,
+        chatId: env.TELEGRAM_CHAT_ID || (config.chatId ? String(config.chatId) : null),
+        allowedChats: list(env.TELEGRAM_ALLOWED_CHATS || config.allowedChats),
+        apiBase: env.TELEGRAM_API_BASE || config.apiBase || undefined
+    };
+}
+
+// ==================== 命令机器人 ====================
+// 长轮询读取命令并操作服务端引擎，只响应白名单中的 chat
+// 命令中的交易对可省略，默认观察列表第一个；/pause /resume 不带交易对时作用于全部
+class TelegramCommandBot {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.engines = options.engines;
+        this.store = options.store || null;
+        this.executor = options.executor || null;     // 下单执行，/close 通过它平掉交易所仓位
+        this.allowedChats = new Set((options.allowedChats || []).map(String));
+        this.pollTimeout = options.pollTimeout ?? 30;
+        this.retryDelay = options.retryDelay || 5000;
+
+        this.offset = 0;
+        this.running = false;
+
+        this.commands = {
+            start: () => this.help(),
+            help: () => this.help(),
+            status: args => this.status(args),
+            pause: args => this.setRunning(args, false),
+            resume: args => this.setRunning(args, true),
+            history: args => this.history(args),
+            stats: args => this.stats(args),
+            close: args => this.close(args)
+        };
+    }
+
+    start() {
+        if (this.running) return;
+
+        this.running = true;
+        if (this.allowedChats.size === 0) {
+            console.warn('⚠️ 未设置 TELEGRAM_ALLOWED_CHATS，Telegram命令将全部拒绝');
+        }
+        console.log('🤖 Telegram命令机器人已启动');
+        this.poll();
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    async poll() {
+        while (this.running) {
+            try {
+                const updates = await this.client.getUpdates(this.offset, this.pollTimeout);
+
+                for (const update of updates) {
+                    this.offset = update.update_id + 1;
+                    await this.handleUpdate(update);
+                }
+            } catch (error) {
+                console.error('Telegram轮询失败:', error.message);
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+            }
+        }
+    }
+
+    async handleUpdate(update) {
+        const message = update.message;
+        if (!message || typeof message.text !== 'string' || !message.text.startsWith('/')) return;
+
+        const chatId = String(message.chat.id);
+        const [command, ...args] = message.text.trim().split(/\s+/);
+        // 群组中命令可能带 @机器人名
+        const name = command.slice(1).split('@')[0].toLowerCase();
+
+        if (!this.allowedChats.has(chatId)) {
+            console.warn(`⛔ 拒绝未授权的Telegram命令: ${chatId} ${command}`);
+            await this.reply(chatId, '⛔ 未授权');
+            return;
+        }
+
+        const handler = this.commands[name];
+        let text;
+        try {
+            text = handler ? await handler(args) : `未知命令: ${command}\n\n${this.help()}`;
+        } catch (error) {
+            console.error(`Telegram命令 ${command} 失败:`, error.message);
+            text = `❌ 执行失败: ${error.message}`;
+        }
+
+        console.log(`🤖 Telegram命令: ${chatId} ${message.text}`);
+        await this.reply(chatId, text);
+    }
+
+    async reply(chatId, text) {
+        try {
+            await this.client.sendMessage(chatId, text);
+        } catch (error) {
+            console.error('Telegram回复失败:', error.message);
+        }
+    }
+
+    // 从参数中取出交易对（不区分大小写）和数字，未指定交易对时 engine 为 null
+    parseArgs(args) {
+        const symbolArg = args.find(arg => this.engines.has(arg.toUpperCase()));
+        const unknown = args.find(arg => !/^\d+$/.test(arg) && !this.engines.has(arg.toUpperCase()));
+        if (unknown) throw new Error(`不在观察列表中: ${unknown}`);
+
+        const number = args.find(arg => /^\d+$/.test(arg));
+        return {
+            engine: symbolArg ? this.engines.get(symbolArg.toUpperCase()) : null,
+            number: number ? parseInt(number, 10) : null
+        };
+    }
+
+    defaultEngine(engine) {
+        return engine || this.engines.values().next().value;
+    }
+
+    // ==================== 命令 ====================
+
+    help() {
+        return [
+            '可用命令（交易对可省略，默认为观察列表第一个）:',
+            '/status [交易对] - 价格、指标、活跃交易',
+            '/pause [交易对] - 暂停生成新信号（不带交易对时全部暂停）',
+            '/resume [交易对] - 恢复自动模式',
+            '/history [N] [交易对] - 最近N笔交易（默认5）',
+            '/stats [交易对] - 统计与绩效',
+            '/close [交易对] - 手动平仓（已在交易所下单时市价平掉交易所仓位，成交后结束）',
+            `观察列表: ${[...this.engines.keys()].join(', ')}`
+        ].join('\n');
+    }
+
+    status(args) {
+        const engine = this.defaultEngine(this.parseArgs(args).engine);
+        const { rsi, trend, pricePosition, atr, support, resistance } = engine.state.indicators;
+        const trade = engine.state.activeTrade;
+        const trendText = { bullish: '向上', bearish: '向下', neutral: '中性' };
+
+        const lines = [
+            `📊 ${engine.config.symbol} $${engine.state.currentPrice.toFixed(2)}`,
+            `状态: ${engine.state.isRunning ? '运行中' : '已暂停'}${engine.isInCooldown() ? '（冷却中）' : ''}`,
+            `RSI ${rsi.toFixed(1)} | 趋势${trendText[trend] || trend} | 区间位置 ${pricePosition.toFixed(1)}%`,
+            `支撑 $${support.toFixed(2)} | 阻力 $${resistance.toFixed(2)} | ATR ${atr.toFixed(2)}`
+        ];
+
+        if (trade) {
+            const position = engine.getOpenPosition();
+            lines.push(
+                '',
+                `📌 ${trade.action} @ $${trade.price}（剩余 ${((trade.remaining ?? 1) * 100).toFixed(0)}%）`,
+                `TP1 $${trade.tp1} | TP2 $${trade.tp2} | SL $${trade.sl}`,
+                `浮动盈亏 $${position.unrealizedPnL.toFixed(2)}`
+            );
+        } else {
+            lines.push('', '当前没有活跃交易');
+        }
+
+        return lines.join('\n');
+    }
+
+    setRunning(args, running) {
+        const { engine } = this.parseArgs(args);
+        const targets = engine ? [engine] : [...this.engines.values()];
+
+        targets.forEach(target => {
+            if (running) target.startAutoMode();
+            else target.stopAutoMode();
+        });
+
+        const symbols = targets.map(target => target.config.symbol).join(', ');
+        return running ? `▶️ 已恢复: ${symbols}` : `⏸️ 已暂停: ${symbols}\n活跃交易仍会按TP/SL自动离场`;
+    }
+
+    history(args) {
+        const { engine, number } = this.parseArgs(args);
+        const target = this.defaultEngine(engine);
+        const symbol = target.config.symbol;
+        const limit = Math.min(Math.max(number || 5, 1), 50);
+
+        // 存储中有完整历史，引擎只保留最近20条
+        const trades = this.store ?
+            this.store.listTrades({ symbol, limit }).trades :
+            target.state.signalHistory.slice(0, limit);
+
+        if (trades.length === 0) return `${symbol} 暂无交易历史`;
+
+        const statusText = {
+            active: '进行中', hit_tp1: 'TP1', hit_tp2: 'TP2', hit_sl: 'SL', hit_trail: '移动止损', closed_manual: '手动平仓'
+        };
+        const lines = trades.map(trade => {
+            const time = new Date(trade.timestamp).toISOString().slice(5, 16).replace('T', ' ');
+            const pnl = trade.pnl !== null && trade.pnl !== undefined ? ` ${parseFloat(trade.pnl) >= 0 ? '+' : ''}$${trade.pnl}` : '';
+            return `${time} ${trade.action} @ $${trade.price} ${statusText[trade.status] || trade.status}${pnl}`;
+        });
+
+        return [`📜 ${symbol} 最近 ${trades.length} 笔交易（UTC）`, ...lines].join('\n');
+    }
+
+    stats(args) {
+        const engine = this.defaultEngine(this.parseArgs(args).engine);
+        const stats = engine.state.stats;
+        const account = engine.getAccountSummary();
+        const analytics = engine.getAnalytics();
+        const winRate = stats.totalTrades > 0 ? (stats.winningTrades / stats.totalTrades * 100).toFixed(1) : '0.0';
+
+        return [
+            `📈 ${engine.config.symbol} 统计`,
+            `交易 ${stats.totalTrades} 笔 | 胜率 ${winRate}% | 最佳连胜 ${stats.bestStreak}`,
+            `净盈亏 $${stats.totalPnL.toFixed(2)}（毛利 $${(stats.grossPnL || 0).toFixed(2)}，成本 $${((stats.totalFees || 0) + (stats.totalSlippage || 0) + (stats.totalFunding || 0)).toFixed(2)}）`,
+            `净值 $${account.equity.toFixed(2)} | 余额 $${account.balance.toFixed(2)}`,
+            `最大回撤 $${analytics.maxDrawdown.toFixed(2)}（${(analytics.maxDrawdownPercent * 100).toFixed(1)}%）| Sharpe ${analytics.sharpe.toFixed(2)}`,
+            `盈亏比 ${analytics.profitFactor === null ? '∞' : analytics.profitFactor.toFixed(2)} | 期望 $${analytics.expectancy.toFixed(2)}`
+        ].join('\n');
+    }
+
+    async close(args) {
+        const engine = this.defaultEngine(this.parseArgs(args).engine);
+        const trade = engine.state.activeTrade;
+        if (!trade) return `${engine.config.symbol} 当前没有活跃交易`;
+
+        // 已在交易所下单：撤掉止盈止损并市价平仓，成交后才结束交易
+        if (trade.execution && this.executor && await this.executor.closeManually(engine, trade)) {
+            if (engine.state.activeTrade === trade) {
+                return `⏳ ${engine.config.symbol} 平仓单已提交，成交后结束交易`;
+            }
+            return [
+                `✋ ${engine.config.symbol} 已在交易所平仓 ${trade.action} @ $${trade.exitPrice}`,
+                `盈亏 ${parseFloat(trade.pnl) >= 0 ? '+' : ''}$${trade.pnl}` +
+                    (trade.execution.realizedPnl ? `（交易所实际 $${parseFloat(trade.execution.realizedPnl).toFixed(2)}）` : '')
+            ].join('\n');
+        }
+
+        if (!engine.closeActiveTrade()) return `${engine.config.symbol} 还没有行情价格，暂时无法平仓`;
+        return [
+            `✋ ${engine.config.symbol} 已手动平仓 ${trade.action} @ $${trade.exitPrice}`,
+            `盈亏 ${parseFloat(trade.pnl) >= 0 ? '+' : ''}$${trade.pnl}`
+        ].join('\n');
+    }
+}
+
+module.exports = { TelegramClient, TelegramCommandBot, loadTelegramConfig };
@@ -0,0 +1,269 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { OkxPrivateClient, OrderExecutor } = require('../execution.js');
+const { createMockExchange } = require('../mock-exchange.js');
+
+// 下单/成交日志会混入测试输出
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+const SWAP = 'BTC-USDT-SWAP';
+const credentials = { apiKey: 'mock-key', secret: 'mock-secret', passphrase: 'mock-passphrase' };
+
+// 执行层只用到引擎的这些字段和方法
+function createEngine(config = {}) {
+    return {
+        config: { tp1CloseFraction: 0, ...config },
+        state: { activeTrade: null, signalHistory: [] },
+        published: [],
+        completed: [],
+        saveData() {},
+        publish(type, data) {
+            this.published.push({ type, data });
+        },
+        completeTrade(result, tpLevel, price) {
+            this.completed.push({ result, tpLevel, price });
+            this.state.activeTrade = null;
+        }
+    };
+}
+
+function createTrade(overrides = {}) {
+    return {
+        id: `t_${Date.now()}`,
+        symbol: SWAP,
+        action: 'BUY',
+        status: 'active',
+        price: '60000',
+        positionSize: '1000',
+        tp1: '61000',
+        tp2: '62000',
+        sl: '59000',
+        ...overrides
+    };
+}
+
+// 开仓并把交易设为引擎当前持仓
+async function openTrade(executor, engine, trade) {
+    engine.state.activeTrade = trade;
+    engine.state.signalHistory.unshift(trade);
+    await executor.placeEntry(engine, trade);
+    await executor.reconcile(engine, trade);
+    return trade.execution;
+}
+
+test.describe('OrderExecutor（本地模拟交易所）', () => {
+    let exchange;
+    let server;
+    let client;
+    let executor;
+    let sent;
+
+    test.beforeEach(async () => {
+        exchange = createMockExchange({ ...credentials, feeRate: 0.0005 });
+        server = exchange.app.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+
+        client = new OkxPrivateClient({ ...credentials, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        executor = new OrderExecutor(client, { engines: new Map(), bus: null });
+
+        // 记录实际提交的订单参数
+        sent = [];
+        const placeOrder = client.placeOrder.bind(client);
+        client.placeOrder = order => {
+            sent.push(order);
+            return placeOrder(order);
+        };
+
+        exchange.setPrice(SWAP, 60000);
+        exchange.setPrice('BTC-USDT', 60000);
+    });
+
+    test.afterEach(() => {
+        server.close();
+    });
+
+    test('签名错误和缺少模拟盘请求头都被拒绝', async () => {
+        const wrongSecret = new OkxPrivateClient({ ...credentials, secret: 'wrong', baseUrl: client.baseUrl });
+        await assert.rejects(wrongSecret.getOrder(SWAP, '1'), /Invalid Sign/);
+
+        const live = new OkxPrivateClient({ ...credentials, demo: false, baseUrl: client.baseUrl });
+        await assert.rejects(live.getOrder(SWAP, '1'), /code 50101/);
+    });
+
+    test('合约开仓: 市价单附带一组覆盖全部仓位的TP/SL', async () => {
+        const engine = createEngine();
+        const execution = await openTrade(executor, engine, createTrade());
+
+        assert.strictEqual(sent.length, 1);
+        assert.deepStrictEqual(
+            { tdMode: sent[0].tdMode, side: sent[0].side, ordType: sent[0].ordType, sz: sent[0].sz },
+            { tdMode: 'cross', side: 'buy', ordType: 'market', sz: '1.6666' }    // 1000 USDT / 60000 / 面值0.01
+        );
+        assert.strictEqual(sent[0].attachAlgoOrds.length, 1);
+        assert.strictEqual(sent[0].attachAlgoOrds[0].sz, undefined);
+
+        assert.strictEqual(execution.state, 'filled');
+        assert.strictEqual(execution.filledSz, 1.6666);
+        assert.deepStrictEqual(exchange.algos.map(algo => [algo.side, algo.sz, algo.tpTriggerPx, algo.slTriggerPx]),
+            [['sell', '1.6666', '61000.00', '59000.00']]);
+        assert.ok(engine.published.some(event => event.type === 'execution'));
+    });
+
+    test('TP1分批平仓: 两组TP/SL各带数量，首个TP触发后止损移到开仓价', async () => {
+        const engine = createEngine({ tp1CloseFraction: 0.5 });
+        await openTrade(executor, engine, createTrade());
+
+        assert.deepStrictEqual(sent[0].attachAlgoOrds.map(algo => [algo.sz, algo.tpTriggerPx, algo.amendPxOnTriggerType]),
+            [['0.8333', '61000.00', '1'], ['0.8333', '62000.00', '1']]);
+
+        exchange.setPrice(SWAP, 61000);
+        assert.deepStrictEqual(exchange.algos.map(algo => [algo.state, algo.slTriggerPx]),
+            [['effective', '59000.00'], ['live', '60000']]);
+    });
+
+    test('现货做空信号跳过，不向交易所下单', async () => {
+        const engine = createEngine();
+        const trade = createTrade({ symbol: 'BTC-USDT', action: 'SELL' });
+        await executor.placeEntry(engine, trade);
+
+        assert.strictEqual(trade.execution.state, 'skipped');
+        assert.match(trade.execution.error, /-SWAP/);
+        assert.strictEqual(sent.length, 0);
+        assert.strictEqual(exchange.orders.size, 0);
+    });
+
+    test('现货做多按 cash 和基础货币数量下单', async () => {
+        const engine = createEngine();
+        await openTrade(executor, engine, createTrade({ symbol: 'BTC-USDT' }));
+
+        assert.deepStrictEqual({ tdMode: sent[0].tdMode, tgtCcy: sent[0].tgtCcy, sz: sent[0].sz },
+            { tdMode: 'cash', tgtCcy: 'base_ccy', sz: '0.0166' });
+    });
+
+    test('对账只把止盈止损和自己的平仓单算作平仓，同产品的其他成交不算', async () => {
+        const engine = createEngine();
+        const trade = createTrade();
+        const execution = await openTrade(executor, engine, trade);
+
+        // 同一产品上的手动交易
+        await client.placeOrder({ instId: SWAP, tdMode: 'cross', side: 'sell', ordType: 'market', sz: '1.6666' });
+        await executor.reconcile(engine, trade);
+
+        assert.strictEqual(execution.state, 'filled');
+        assert.deepStrictEqual(execution.exits, []);
+        assert.deepStrictEqual(engine.completed, []);
+
+        exchange.setPrice(SWAP, 61000);
+        await executor.reconcile(engine, trade);
+
+        assert.strictEqual(execution.state, 'closed');
+        assert.deepStrictEqual(execution.exits.map(exit => exit.ordId), execution.algos[0].ordIds);
+        assert.strictEqual(execution.algos[0].actualSide, 'tp');
+        // 毛利 1.6666张 × 0.01 × 1000 = 16.67，开平各按名义价值约1000收0.05%手续费
+        assert.ok(Math.abs(parseFloat(execution.realizedPnl) - (16.666 - 0.5 - 0.5083)) < 0.001,
+            `realizedPnl ${execution.realizedPnl}`);
+        assert.deepStrictEqual(engine.completed, [{ result: 'win', tpLevel: 1, price: 61000 }]);
+    });
+
+    test('只挂了TP1时跳空越过TP2仍按TP1结束', async () => {
+        const engine = createEngine();
+        const trade = createTrade();
+        await openTrade(executor, engine, trade);
+
+        exchange.setPrice(SWAP, 63000);
+        await executor.reconcile(engine, trade);
+
+        assert.deepStrictEqual(engine.completed, [{ result: 'win', tpLevel: 1, price: 63000 }]);
+    });
+
+    test('分批止盈时按实际成交的TP单确定TP级别', async () => {
+        const engine = createEngine({ tp1CloseFraction: 0.5 });
+        const trade = createTrade();
+        await openTrade(executor, engine, trade);
+
+        exchange.setPrice(SWAP, 63000);
+        await executor.reconcile(engine, trade);
+
+        assert.strictEqual(trade.execution.exits.length, 2);
+        assert.deepStrictEqual(engine.completed, [{ result: 'win', tpLevel: 2, price: 63000 }]);
+    });
+
+    test('TP1后剩余仓位保本止损按止损结束', async () => {
+        const engine = createEngine({ tp1CloseFraction: 0.5 });
+        const trade = createTrade();
+        await openTrade(executor, engine, trade);
+
+        exchange.setPrice(SWAP, 61000);
+        await executor.reconcile(engine, trade);
+        assert.strictEqual(trade.execution.state, 'filled');
+
+        exchange.setPrice(SWAP, 60000);
+        await executor.reconcile(engine, trade);
+
+        assert.strictEqual(trade.execution.state, 'closed');
+        assert.deepStrictEqual(engine.completed, [{ result: 'loss', tpLevel: 0, price: 60000 }]);
+    });
+
+    test('引擎结束交易: 撤销止盈止损并只减仓平掉剩余仓位', async () => {
+        const engine = createEngine({ tp1CloseFraction: 0.5 });
+        const trade = createTrade();
+        const execution = await openTrade(executor, engine, trade);
+
+        exchange.setPrice(SWAP, 61000);
+        await executor.reconcile(engine, trade);
+
+        // 引擎按自己的规则（如移动止损）先结束了交易
+        executor.engines.set(SWAP, engine);
+        engine.state.activeTrade = null;
+        exchange.setPrice(SWAP, 60500);
+        executor.handleEvent({ type: 'trade_closed', symbol: SWAP, data: { trade } });
+        assert.ok(execution.closeClOrdId);
+        await executor.closePosition(engine, trade);   // 已在平仓中，不会重复下单
+
+        await waitFor(() => execution.state === 'closed');
+        const close = sent[sent.length - 1];
+        assert.strictEqual(sent.length, 2);
+        assert.deepStrictEqual({ side: close.side, sz: close.sz, reduceOnly: close.reduceOnly, clOrdId: close.clOrdId },
+            { side: 'sell', sz: '0.8333', reduceOnly: true, clOrdId: execution.closeClOrdId });
+        assert.deepStrictEqual(exchange.algos.map(algo => algo.state), ['effective', 'canceled']);
+        assert.deepStrictEqual(execution.exits.map(exit => exit.px), ['61000', '60500']);
+        assert.deepStrictEqual(engine.completed, []);
+    });
+
+    test('手动平仓: 交易所平仓成交后按手动平仓结束引擎中的交易', async () => {
+        const engine = createEngine();
+        const trade = createTrade();
+        const execution = await openTrade(executor, engine, trade);
+
+        exchange.setPrice(SWAP, 60200);
+        assert.strictEqual(await executor.closeManually(engine, trade), true);
+
+        assert.strictEqual(execution.state, 'closed');
+        assert.strictEqual(execution.closeReason, 'manual');
+        assert.strictEqual(sent[sent.length - 1].reduceOnly, true);
+        assert.deepStrictEqual(exchange.algos.map(algo => algo.state), ['canceled']);
+        assert.deepStrictEqual(engine.completed, [{ result: 'manual', tpLevel: 0, price: 60200 }]);
+    });
+
+    test('手动平仓: 交易所没有持仓时返回 false', async () => {
+        const engine = createEngine();
+        const skipped = createTrade({ symbol: 'BTC-USDT', action: 'SELL' });
+        await executor.placeEntry(engine, skipped);
+
+        assert.strictEqual(await executor.closeManually(engine, createTrade()), false);
+        assert.strictEqual(await executor.closeManually(engine, skipped), false);
+        assert.strictEqual(sent.length, 0);
+    });
+});
+
+// 轮询等待条件成立
+async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('等待超时');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { technicalIndicators: ta } = require('../indicators.js');
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `期望 ${expected}，实际 ${actual}`);
+}
+
+function candle(high, low, close, volume = 0, timestamp = 0) {
+    return { timestamp, open: close, high, low, close, volume };
+}
+
+// 每根K线上移1，振幅1：+DM恒为1，-DM为0，真实波幅恒为1.5
+function risingCandles(count) {
+    return Array.from({ length: count }, (_, i) => candle(i + 1, i, i + 0.5));
+}
+
+test.describe('technicalIndicators 参考值', () => {
+    test('RSI 与 Wilder 示例序列一致（StockCharts 14周期）', () => {
+        const closes = [
+            44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826, 45.8931,
+            46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439, 46.2122, 46.2521,
+            45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672, 43.4205, 42.6628, 43.1314
+        ];
+        const expected = [
+            70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+            54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77
+        ];
+
+        assert.strictEqual(ta.rsi(closes.slice(0, 14), 14), null);
+        expected.forEach((value, i) => assertClose(ta.rsi(closes.slice(0, 15 + i), 14), value, 0.01));
+    });
+
+    test('RSI 在没有涨跌的序列上为中性50', () => {
+        assert.strictEqual(ta.rsi(new Array(20).fill(100), 14), 50);
+    });
+
+    test('EMA 以前 period 个值的SMA为初始值', () => {
+        assert.deepStrictEqual(ta.ema([1, 2, 3, 4, 5, 6], 3), [null, null, 2, 3, 4, 5]);
+    });
+
+    test('MACD 在等差序列上为两条EMA的固定滞后差 (26-12)/2', () => {
+        const closes = Array.from({ length: 60 }, (_, i) => i + 1);
+        const result = ta.macd(closes, 12, 26, 9);
+
+        assertClose(result.macd, 7);
+        assertClose(result.signal, 7);
+        assertClose(result.histogram, 0);
+    });
+
+    test('布林带使用总体标准差', () => {
+        // 均值5，总体标准差2
+        const result = ta.bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+
+        assertClose(result.middle, 5);
+        assertClose(result.upper, 9);
+        assertClose(result.lower, 1);
+        assertClose(result.bandwidth, 1.6);
+        assertClose(result.percentB, 1);
+    });
+
+    test('随机指标 %K 与 %D', () => {
+        const candles = [
+            candle(10, 5, 8),
+            candle(12, 6, 11),
+            candle(11, 7, 9),
+            candle(13, 8, 12),
+            candle(14, 9, 10)
+        ];
+        const result = ta.stochastic(candles, 3, 3);
+
+        assertClose(result.k, 300 / 7);
+        assertClose(result.d, (400 / 7 + 600 / 7 + 300 / 7) / 3);
+    });
+
+    test('ATR 使用 Wilder 平滑而不是简单平均', () => {
+        // 真实波幅依次为 2, 4, 3, 5：首值 (2+4+3)/3 = 3，之后 (3*2 + 5)/3
+        const candles = [
+            candle(10, 9, 10),
+            candle(11, 9, 10),
+            candle(12, 8, 10),
+            candle(11, 8, 9),
+            candle(13, 8, 12)
+        ];
+
+        assert.strictEqual(ta.atr(candles.slice(0, 3), 3), null);
+        assertClose(ta.atr(candles.slice(0, 4), 3), 3);
+        assertClose(ta.atr(candles, 3), 11 / 3);
+        assertClose(ta.atr(risingCandles(30), 14), 1.5);
+    });
+
+    test('ADX 在单边上涨中为100，-DI为0', () => {
+        const result = ta.adx(risingCandles(40), 14);
+
+        assertClose(result.adx, 100);
+        assertClose(result.plusDI, 100 / 1.5);
+        assertClose(result.minusDI, 0);
+        assert.strictEqual(ta.adx(risingCandles(28), 14), null);
+    });
+
+    test('VWAP 按UTC日重置，使用典型价加权', () => {
+        const day = Date.UTC(2024, 0, 2);
+        const candles = [
+            candle(1000, 900, 950, 1000, day - 900000),   // 前一天，不计入
+            candle(11, 9, 10, 100, day),
+            candle(12, 10, 11, 300, day + 900000)
+        ];
+
+        assertClose(ta.vwap(candles), (10 * 100 + 11 * 300) / 400);
+        assert.strictEqual(ta.vwap([candle(11, 9, 10, 0, day)]), null);
+    });
+
+    test('OBV 上涨累加、下跌累减、平盘不变', () => {
+        const closes = [10, 11, 10.5, 10.5, 12];
+        const volumes = [100, 200, 150, 120, 300];
+        const candles = closes.map((close, i) => candle(close, close, close, volumes[i]));
+
+        assert.deepStrictEqual(ta.obv(candles), [0, 200, 50, 50, 350]);
+    });
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { OkxMarketData } = require('../market-data.js');
+const { createFakeOkxSocket } = require('../fake-okx-ws.js');
+const { createMockExchange } = require('../mock-exchange.js');
+
+// 连接/重连日志会混入测试输出
+console.log = () => {};
+console.warn = () => {};
+
+// 轮询等待条件成立
+async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('等待超时');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+async function startFake(options) {
+    const fake = createFakeOkxSocket(options);
+    await once(fake.wss, 'listening');
+    return fake;
+}
+
+function createMarket(fake, options = {}) {
+    return new OkxMarketData({
+        symbols: ['BTC-USDT'],
+        publicUrl: `ws://127.0.0.1:${fake.port}/ws/v5/public`,
+        businessUrl: `ws://127.0.0.1:${fake.port}/ws/v5/business`,
+        restBase: 'http://127.0.0.1:9/api/v5',   // 不可达，确保数据来自WebSocket
+        minBackoff: 20,
+        ...options
+    });
+}
+
+function subscribeCount(fake, channel) {
+    return fake.received.filter(message => message.op === 'subscribe' &&
+        message.args.some(arg => arg.channel === channel)).length;
+}
+
+test.describe('OkxMarketData（本地模拟 WebSocket）', () => {
+    let fake;
+    let market;
+
+    test.beforeEach(async () => {
+        fake = await startFake();
+    });
+
+    test.afterEach(async () => {
+        if (market) market.stop();
+        await fake.close();
+    });
+
+    test('tickers 订阅在 public 连接，K线订阅在 business 连接，推送的行情直接返回', async () => {
+        market = createMarket(fake);
+        market.start();
+        await waitFor(() => fake.subscribers('tickers', 'BTC-USDT') === 1 && fake.subscribers('candle15m', 'BTC-USDT') === 1);
+
+        const paths = Object.fromEntries(fake.received.map(message => [message.args[0].channel, message.path]));
+        assert.deepStrictEqual(paths, { tickers: '/ws/v5/public', candle15m: '/ws/v5/business' });
+        assert.deepStrictEqual(market.status(), { tickers: true, candles: true });
+
+        const received = once(market, 'ticker');
+        fake.push('tickers', 'BTC-USDT', [{ instId: 'BTC-USDT', last: '61000.5' }]);
+        const [instId, ticker] = await received;
+
+        assert.strictEqual(instId, 'BTC-USDT');
+        assert.strictEqual(ticker.last, '61000.5');
+        // REST地址不可达，只能来自WebSocket缓存
+        assert.strictEqual((await market.getTicker('BTC-USDT')).last, '61000.5');
+
+        const candle = once(market, 'candle');
+        fake.push('candle15m', 'BTC-USDT', [['1700000000000', '1', '3', '0.5', '2', '10', '0', '0', '1']]);
+        const [, parsed, confirmed] = await candle;
+        assert.deepStrictEqual(parsed, { timestamp: 1700000000000, open: 1, high: 3, low: 0.5, close: 2, volume: 10 });
+        assert.strictEqual(confirmed, true);
+    });
+
+    test('心跳收到 pong 时保持连接，pong 超时断开并重连', async () => {
+        market = createMarket(fake, { pingInterval: 40, pongTimeout: 20 });
+        market.start();
+        await waitFor(() => fake.pings >= 4);
+
+        // 一直有 pong 回复，没有重连
+        assert.strictEqual(subscribeCount(fake, 'tickers'), 1);
+        assert.strictEqual(market.status().tickers, true);
+
+        fake.respondToPing = false;
+        await waitFor(() => !market.status().tickers);
+
+        fake.respondToPing = true;
+        await waitFor(() => subscribeCount(fake, 'tickers') === 2 && market.status().tickers);
+    });
+
+    test('连接中断后退避重连，重新发送全部订阅（含断线期间新增的）', async () => {
+        market = createMarket(fake, { minBackoff: 100 });
+        market.start();
+        await waitFor(() => market.status().tickers && market.status().candles);
+
+        fake.drop();
+        await waitFor(() => !market.status().tickers && !market.status().candles);
+        assert.strictEqual(fake.subscribers('tickers', 'BTC-USDT'), 0);
+
+        // 断线期间新增的订阅只记录，重连后一并发送
+        market.publicSocket.subscribe([{ channel: 'tickers', instId: 'ETH-USDT' }]);
+
+        await waitFor(() => market.status().tickers && market.status().candles);
+        await waitFor(() => fake.subscribers('tickers', 'BTC-USDT') === 1 &&
+            fake.subscribers('tickers', 'ETH-USDT') === 1 && fake.subscribers('candle15m', 'BTC-USDT') === 1);
+        assert.strictEqual(subscribeCount(fake, 'tickers'), 2);
+
+        const received = once(market, 'ticker');
+        fake.push('tickers', 'ETH-USDT', [{ instId: 'ETH-USDT', last: '3100' }]);
+        assert.strictEqual((await received)[0], 'ETH-USDT');
+    });
+});
+
+test.describe('OkxMarketData REST兜底', () => {
+    let exchange;
+    let server;
+    let restBase;
+
+    test.before(async () => {
+        exchange = createMockExchange();
+        server = exchange.app.listen(0);
+        await once(server, 'listening');
+        restBase = `http://127.0.0.1:${server.address().port}/api/v5`;
+    });
+
+    test.after(() => {
+        server.close();
+    });
+
+    test('WebSocket未连接时行情和K线走REST', async () => {
+        const market = new OkxMarketData({ symbols: ['BTC-USDT'], restBase });
+        exchange.setPrice('BTC-USDT', 62000);
+
+        assert.strictEqual((await market.getTicker('BTC-USDT')).last, '62000');
+
+        const candles = await market.getCandles('BTC-USDT', '15m', 30);
+        assert.strictEqual(candles.length, 30);
+        assert.ok(candles.every((candle, i) => i === 0 || candle.timestamp > candles[i - 1].timestamp));
+        assert.strictEqual(candles[candles.length - 1].close, 62000);
+    });
+
+    test('行情过期时回退REST，WebSocket的K线在REST历史上增量合并', async () => {
+        const fake = await startFake();
+        const market = createMarket(fake, { restBase, staleAfter: 50 });
+
+        try {
+            market.start();
+            await waitFor(() => fake.subscribers('tickers', 'BTC-USDT') === 1 && fake.subscribers('candle15m', 'BTC-USDT') === 1);
+
+            exchange.setPrice('BTC-USDT', 63000);
+            fake.push('tickers', 'BTC-USDT', [{ instId: 'BTC-USDT', last: '1' }]);
+            await waitFor(() => market.tickers.has('BTC-USDT'));
+            assert.strictEqual((await market.getTicker('BTC-USDT')).last, '1');
+
+            await new Promise(resolve => setTimeout(resolve, 80));
+            assert.strictEqual((await market.getTicker('BTC-USDT')).last, '63000');
+
+            // REST历史作为基础，推送的最新K线覆盖同一时间的K线
+            const history = await market.getCandles('BTC-USDT', '15m', 30);
+            const last = history[history.length - 1];
+            const candle = once(market, 'candle');
+            fake.push('candle15m', 'BTC-USDT', [[String(last.timestamp), '1', '70000', '1', '64000', '5', '0', '0', '0']]);
+            await candle;
+
+            const cached = await market.getCandles('BTC-USDT', '15m', 30);
+            assert.strictEqual(cached[cached.length - 1].close, 64000);
+            assert.strictEqual(cached[cached.length - 2].timestamp, history[history.length - 2].timestamp);
+        } finally {
+            market.stop();
+            await fake.close();
+        }
+    });
+});